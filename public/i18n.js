@@ -0,0 +1,75 @@
+// ── I18N ──────────────────────────────────────────────────────────────────────
+// Переклади інтерфейсу для host.html і player.html. Каталоги — /i18n/<мова>.json,
+// ті самі, з яких сервер бере тексти помилок (server/i18n.js): плоскі ключі
+// з підстановками {name}. Мову гри задає кімната; до входу в кімнату — мова,
+// обрана раніше на цьому пристрої, або мова браузера.
+//
+//   t(key, params)             — рядок поточною мовою
+//   label(prefix, value)       — підпис ідентифікатора зі змісту (тег, категорія)
+//   errorText(msg)             — текст помилки сервера за її кодом
+//   settingsErrorText(err)     — текст одного з errors у invalid_settings
+//   setLocale(locale)          — Promise: завантажити каталог і перекласти розмітку
+//   applyI18n(root)            — data-i18n, data-i18n-placeholder, data-i18n-title
+//   preferredLocale()          — мова для першого запуску
+
+const I18N = { locales: ['uk', 'en'], fallback: 'uk', locale: 'uk', catalogues: {} };
+const LOCALE_KEY = 'fm_locale';
+
+function loadCatalogue(locale) {
+  if (I18N.catalogues[locale]) return Promise.resolve(I18N.catalogues[locale]);
+  return fetch(`/i18n/${locale}.json`)
+    .then(res => res.json())
+    .then(catalogue => (I18N.catalogues[locale] = catalogue));
+}
+
+// Немає перекладу — беремо мову за замовчуванням, а далі сам ключ
+function t(key, params) {
+  const s = I18N.catalogues[I18N.locale]?.[key] ?? I18N.catalogues[I18N.fallback]?.[key] ?? key;
+  return params ? s.replace(/\{(\w+)\}/g, (m, name) => String(params[name] ?? m)) : s;
+}
+
+// Теги й категорії у змісті — ідентифікатори (українською); якщо в каталозі
+// поточної мови підпису немає, показуємо сам ідентифікатор або fallback
+function label(prefix, value, fallback = value) {
+  return I18N.catalogues[I18N.locale]?.[`${prefix}.${value}`] ?? fallback;
+}
+
+// Варіант error.<code>.<reason>, якщо він є, інакше error.<code>; код, якого
+// клієнт ще не знає, — текстом сервера
+function errorText(msg) {
+  const known = I18N.catalogues[I18N.fallback] || {};
+  const variant = msg.reason && `error.${msg.code}.${msg.reason}`;
+  const key = variant && variant in known ? variant : `error.${msg.code}`;
+  return key in known ? t(key, msg) : msg.msg;
+}
+
+// Помилки налаштувань — { field, code, min, max, … }; перевірка набору (invalid_pack)
+// досі надсилає готові рядки
+function settingsErrorText(err) {
+  if (typeof err === 'string') return err;
+  const key = `settings_error.${err.code}`;
+  return key in (I18N.catalogues[I18N.fallback] || {}) ? t(key, err) : err.msg;
+}
+
+function applyI18n(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+}
+
+// Мову запам'ятовуємо на пристрої — наступного разу телефон одразу говорить мовою кімнати
+function setLocale(locale) {
+  const next = I18N.locales.includes(locale) ? locale : I18N.fallback;
+  try { localStorage.setItem(LOCALE_KEY, next); } catch (e) {}
+  return Promise.all([loadCatalogue(I18N.fallback), loadCatalogue(next)]).then(() => {
+    I18N.locale = next;
+    document.documentElement.lang = next;
+    applyI18n();
+  });
+}
+
+function preferredLocale() {
+  let saved = null;
+  try { saved = localStorage.getItem(LOCALE_KEY); } catch (e) {}
+  return saved || (navigator.language || '').slice(0, 2).toLowerCase();
+}
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { loadContent, readPackSource, mergePack, validatePack, DATA_DIR, PACKS_DIR } = require('../server/content');
+const { PRESETS, validateSettings } = require('../server/settings');
+
+// ─── CONTENT LINT ────────────────────────────────────────────────────────────
+// npm run lint-content [-- --json] [шлях ...]
+//
+// Перевіряє стандартний набір (data/) і всі набори з packs/ — або лише передані
+// шляхи. Крім схеми наборів (validatePack) рахує картки по рівнях складності
+// проти розміру руки в пресетах і шукає підозрілий текст: злиплі слова,
+// змішані алфавіти, подвійні пробіли, повтори слів.
+//
+// Код виходу 1, якщо є хоча б одна помилка; попередження не валять перевірку.
+// З --json друкує звіт { ok, packs: [{ name, files, tiers, issues }] }, де кожна
+// проблема — { level, code, file, path, message }.
+
+const LETTER = "[a-zA-Zа-яА-ЯіїєґІЇЄҐ'’ʼ]";
+const WORD = new RegExp(`${LETTER}+`, 'g');
+const REPEATED = new RegExp(`(?<!${LETTER})(${LETTER}{2,})\\s+\\1(?!${LETTER})`, 'giu');
+const CYRILLIC = /[а-яіїєґ]/i;
+const LATIN = /[a-z]/i;
+// Для гри без фактів пари — лише попередження, але в data/ такого бути не повинно:
+// атакувальник лишиться без фактів
+const STRICT = new Set(['missing_pair']);
+// Поля-ідентифікатори, а не текст для людей
+const SKIP_KEYS = new Set(['id', 'type', 'color', 'emoji', 'counters']);
+
+// Усі текстові поля змісту з їхніми шляхами
+function textFields(content) {
+  const out = [];
+  const walk = (v, at) => {
+    if (typeof v === 'string') out.push([at, v]);
+    else if (Array.isArray(v)) v.forEach((x, i) => walk(x, `${at}[${i}]`));
+    else if (v && typeof v === 'object') {
+      Object.entries(v).forEach(([k, x]) => { if (!SKIP_KEYS.has(k)) walk(x, at ? `${at}.${k}` : k); });
+    }
+  };
+  walk(content, '');
+  return out;
+}
+
+// Злиплі слова: рідкісне довге слово, яке розпадається на часте слово і форму
+// іншого слова — «імперієюніколи» = «імперією» (як «імперія») + «ніколи».
+// Словник береться з самого змісту, тож працює для будь-якої мови набору.
+function findGlued(fields) {
+  const freq = {};
+  fields.forEach(([, text]) => (text.toLowerCase().match(WORD) || []).forEach(w => { freq[w] = (freq[w] || 0) + 1; }));
+  const words = Object.keys(freq);
+
+  const glued = {};
+  words.filter(w => freq[w] === 1 && w.length >= 10).forEach(w => {
+    for (let k = 6; k <= w.length - 5; k++) {
+      const head = w.slice(0, k), tail = w.slice(k);
+      if ((freq[tail] || 0) < 2) continue;
+      // Голова — інша відмінкова форма слова зі змісту: та сама основа і близька довжина
+      const stem = head.slice(0, Math.max(5, head.length - 2));
+      if (words.some(x => x !== w && x.startsWith(stem) && Math.abs(x.length - head.length) <= 2)) {
+        glued[w] = `${head} ${tail}`;
+        return;
+      }
+    }
+  });
+  return glued;
+}
+
+function textIssues(content) {
+  const fields = textFields(content);
+  const glued = findGlued(fields);
+  const issues = [];
+  const warn = (at, code, message) => issues.push({ level: 'warning', code, path: at, message });
+  fields.forEach(([at, text]) => {
+    if (!text.trim()) return; // порожній текст — уже помилка схеми
+    if (text !== text.trim()) warn(at, 'whitespace', 'пробіли на початку або в кінці');
+    if (/ {2,}/.test(text)) warn(at, 'whitespace', 'подвійний пробіл');
+    (text.match(WORD) || []).forEach(w => {
+      if (CYRILLIC.test(w) && LATIN.test(w)) warn(at, 'mixed_script', `«${w}» змішує кирилицю і латиницю`);
+      if (glued[w.toLowerCase()]) warn(at, 'glued_words', `«${w}» — можливо, «${glued[w.toLowerCase()]}»`);
+    });
+    // Лише через пробіл: «Коза. Коза» — вже нове речення
+    for (const [, w] of text.matchAll(REPEATED)) warn(at, 'repeated_word', `слово «${w}» двічі поспіль`);
+  });
+  return issues;
+}
+
+// Скільки карток (без «Зеро») на кожному рівні і чи вистачає їх на руку в кожному пресеті
+function tierIssues(content) {
+  const cards = (content.fallacies || []).filter(f => f && f.id !== 0);
+  const tiers = [1, 2, 3, 4].map(d => ({
+    difficulty: d,
+    cards: cards.filter(f => f.difficulty === d).length,
+    upTo: cards.filter(f => f.difficulty <= d).length,
+  }));
+  const issues = [];
+  tiers.filter(t => !t.cards).forEach(t => {
+    issues.push({ level: 'warning', code: 'empty_tier', path: 'fallacies', message: `немає карток складності ${t.difficulty}` });
+  });
+  // Достатньо найнижчого рівня, на якому рука не набирається: вищі містять його
+  Object.entries(PRESETS).forEach(([id, preset]) => {
+    const { handSize, difficultyRamp } = validateSettings(preset.settings).settings;
+    const short = tiers.find(t => difficultyRamp.includes(t.difficulty) && t.upTo < handSize);
+    if (short) {
+      issues.push({ level: 'error', code: 'deck_too_small', path: 'fallacies',
+        message: `пресет ${id}: рука з ${handSize} карток, а складності ≤${short.difficulty} лише ${short.upTo}` });
+    }
+  });
+  return { tiers, issues };
+}
+
+// Файл, у якому лежить розділ набору; решта — в маніфесті pack.json
+function fileFor(files, at) {
+  const section = at.split(/[.[]/)[0];
+  return files[section] || files.pack || null;
+}
+
+function lintPack(name, source, base) {
+  const isDir = fs.statSync(source).isDirectory();
+  const bundle = isDir && path.resolve(source) === path.resolve(DATA_DIR) ? loadContent(source) : readPackSource(source);
+  const content = mergePack(bundle, base);
+  const files = isDir ? {
+    pack: path.join(source, 'pack.json'),
+    fallacies: path.join(source, 'fallacies.json'),
+    civilizations: path.join(source, 'civilizations.json'),
+    confrontations: path.join(source, 'civilizations.json'),
+    severity: path.join(source, 'civilizations.json'),
+    topics: path.join(source, 'topics.json'),
+  } : { pack: source };
+  Object.keys(files).forEach(k => { if (!fs.existsSync(files[k])) delete files[k]; });
+  // Перевіряємо лише власні розділи набору — успадковані від data/ перевірено окремо
+  const own = Object.keys(content).filter(k => bundle[k] !== undefined);
+  const scoped = issues => issues.filter(i => own.includes(i.path.split(/[.[]/)[0]));
+
+  const { tiers, issues: tierProblems } = tierIssues(content);
+  const issues = [
+    ...scoped(validatePack(content).issues).map(i => STRICT.has(i.code) ? { ...i, level: 'error' } : i),
+    ...(bundle.fallacies ? tierProblems : []),
+    ...scoped(textIssues(content)),
+  ].map(i => ({ ...i, file: fileFor(files, i.path) && path.relative(process.cwd(), fileFor(files, i.path)) }));
+  return { name, files: [...new Set(Object.values(files))].map(f => path.relative(process.cwd(), f)), tiers, issues };
+}
+
+function main(argv) {
+  const json = argv.includes('--json');
+  const paths = argv.filter(a => !a.startsWith('--'));
+  const base = loadContent();
+  const sources = paths.length ? paths.map(p => [path.basename(p).replace(/\.json$/, ''), p]) : [
+    ['standard', DATA_DIR],
+    ...(fs.existsSync(PACKS_DIR) ? fs.readdirSync(PACKS_DIR).filter(e => !e.startsWith('.'))
+      .map(e => [e.replace(/\.json$/, ''), path.join(PACKS_DIR, e)]) : []),
+  ];
+
+  const packs = sources.map(([name, source]) => {
+    try { return lintPack(name, source, base); }
+    catch (err) {
+      return { name, files: [source], tiers: [], issues: [{ level: 'error', code: 'unreadable', file: source, path: '', message: err.message }] };
+    }
+  });
+  const ok = packs.every(p => p.issues.every(i => i.level !== 'error'));
+
+  if (json) console.log(JSON.stringify({ ok, packs }, null, 2));
+  else {
+    packs.forEach(p => {
+      console.log(`${p.name}: ${p.tiers.map(t => `складність ${t.difficulty}: ${t.cards}`).join(', ')}`);
+      p.issues.forEach(i => console.log(`  ${i.level === 'error' ? '✗' : '⚠'} ${i.file || '-'} ${i.path} [${i.code}] ${i.message}`));
+    });
+    const count = level => packs.reduce((n, p) => n + p.issues.filter(i => i.level === level).length, 0);
+    console.log(`${count('error')} помилок, ${count('warning')} попереджень`);
+  }
+  return ok ? 0 : 1;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { lintPack, textIssues, tierIssues, findGlued };
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+const net = require('net');
+const { encodeResp, parseResp } = require('../server/bus');
+
+// ─── RESP STAND-IN ───────────────────────────────────────────────────────────
+// npm run resp-server [-- --port 6379]
+//
+// Крихітна заміна Redis для локального запуску кількох екземплярів і перевірок:
+// лише команди, якими користується шина (server/bus.js) — PING, AUTH, GET,
+// SET [NX] [PX мс], DEL, PEXPIRE, PUBLISH, SUBSCRIBE. Усе в пам'яті, без
+// збереження на диск. У продакшені — справжній Redis або сумісний сервер.
+
+const OK = { status: 'OK' };
+
+function createRespServer() {
+  const keys = new Map();        // ключ -> { value, expires }
+  const channels = new Map();    // канал -> Set сокетів
+
+  const alive = key => {
+    const entry = keys.get(key);
+    if (entry && entry.expires && entry.expires <= Date.now()) keys.delete(key);
+    return keys.get(key) || null;
+  };
+
+  const commands = {
+    PING: () => ({ status: 'PONG' }),
+    AUTH: () => OK,
+    GET: ([key]) => alive(key)?.value ?? null,
+    SET([key, value, ...opts]) {
+      const flags = opts.map(o => o.toUpperCase());
+      if (flags.includes('NX') && alive(key)) return null;
+      const px = flags.indexOf('PX');
+      keys.set(key, { value, expires: px >= 0 ? Date.now() + Number(opts[px + 1]) : 0 });
+      return OK;
+    },
+    DEL: ([key]) => (alive(key) ? (keys.delete(key), 1) : 0),
+    PEXPIRE([key, ms]) {
+      const entry = alive(key);
+      if (!entry) return 0;
+      entry.expires = Date.now() + Number(ms);
+      return 1;
+    },
+    PUBLISH([channel, message]) {
+      const subs = channels.get(channel) || new Set();
+      subs.forEach(socket => socket.write(encodeResp(['message', channel, message])));
+      return subs.size;
+    },
+    SUBSCRIBE([channel], socket) {
+      if (!channels.has(channel)) channels.set(channel, new Set());
+      channels.get(channel).add(socket);
+      return ['subscribe', channel, 1];
+    },
+  };
+
+  return net.createServer(socket => {
+    let buf = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buf = Buffer.concat([buf, chunk]);
+      let parsed;
+      try {
+        while (buf.length && (parsed = parseResp(buf))) {
+          const [[name, ...args], end] = parsed;
+          buf = buf.subarray(end);
+          const command = commands[String(name).toUpperCase()];
+          socket.write(encodeResp(command ? command(args, socket) : new Error(`ERR unknown command '${name}'`)));
+        }
+      } catch (err) {
+        socket.end(encodeResp(new Error(`ERR ${err.message}`)));
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => channels.forEach(subs => subs.delete(socket)));
+  });
+}
+
+if (require.main === module) {
+  const i = process.argv.indexOf('--port');
+  const port = i > 0 ? Number(process.argv[i + 1]) : 6379;
+  createRespServer().listen(port, '127.0.0.1', () => console.log(`RESP stand-in на 127.0.0.1:${port}`));
+}
+
+module.exports = { createRespServer };
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+const { createEngine } = require('../server/engine');
+const { createManualClock } = require('../server/clock');
+const { createRng } = require('../server/random');
+const { createLibrary } = require('../server/content');
+const { STRATEGIES } = require('../server/bots');
+const { DEFAULT_LOCALE, t } = require('../server/i18n');
+
+// ─── SIMULATION ──────────────────────────────────────────────────────────────
+// npm run simulate [-- --games 50 --players 4 --seed 1 --strategies random,aggressive
+//                     --preset quick_party --settings '{"scoring":{"silence":-2}}' --json]
+//
+// Грає партії самими ботами на ручному годиннику — тисячі ігор за хвилину, і з
+// тим самим --seed результат той самий. Звіт показує, як налаштування очок
+// впливають на гру: хто перемагає, як часто мовчать і скасовують захист.
+
+const HOST = 'sim-host';
+const MAX_GAME_MS = 6 * 60 * 60 * 1000; // захист від партії, що не закінчується
+const STEP_MS = 1000;
+
+function parseArgs(argv) {
+  const opts = { games: 20, players: 4, seed: 1, strategies: Object.keys(STRATEGIES), preset: null, settings: {}, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const [key, next] = [argv[i], argv[i + 1]];
+    if (key === '--json') opts.json = true;
+    else if (key === '--games') { opts.games = Number(next); i++; }
+    else if (key === '--players') { opts.players = Number(next); i++; }
+    else if (key === '--seed') { opts.seed = Number(next); i++; }
+    else if (key === '--strategies') { opts.strategies = next.split(','); i++; }
+    else if (key === '--preset') { opts.preset = next; i++; }
+    else if (key === '--settings') { opts.settings = JSON.parse(next); i++; }
+    else throw new Error(`невідомий аргумент ${key}`);
+  }
+  const unknown = opts.strategies.find(s => !STRATEGIES[s]);
+  if (unknown) throw new Error(`невідома стратегія ${unknown}; є: ${Object.keys(STRATEGIES).join(', ')}`);
+  if (!Number.isInteger(opts.games) || opts.games < 1) throw new Error('--games: ціле більше нуля');
+  return opts;
+}
+
+// Одна партія: запис гри (як в архіві) плюс лічильники подій захисту
+function playGame(seed, opts, library) {
+  const clock = createManualClock(0);
+  const engine = createEngine({ clock, rng: createRng(seed), library, logger: { log() {}, warn() {}, error() {} } });
+  const events = { attacks: 0, silence: 0, speak: 0, cancelled: 0, defended: 0 };
+  let code = null, record = null, error = null;
+
+  engine.on('send', (connId, msg) => {
+    if (connId !== HOST) return;
+    if (msg.type === 'room_created') code = msg.code;
+    if (msg.type === 'error') error = error || msg;
+    if (msg.type === 'defense_result') { events.attacks++; events[msg.choice]++; }
+    if (msg.type === 'cancel_result') events[msg.cancelled ? 'cancelled' : 'defended']++;
+  });
+  engine.on('game_over', r => { record = r; });
+
+  engine.handle(HOST, { type: 'create_room' });
+  engine.handle(HOST, { type: 'update_settings', preset: opts.preset ?? undefined, settings: { maxPlayers: Math.max(2, opts.players), ...opts.settings } });
+  for (let i = 0; i < opts.players; i++) engine.handle(HOST, { type: 'add_bot', strategy: opts.strategies[i % opts.strategies.length] });
+  if (error) throw new Error(`${error.msg}${error.errors ? ': ' + error.errors.map(e => e.msg).join('; ') : ''}`);
+  engine.handle(HOST, { type: 'start_game' });
+
+  // Раунд закінчується без таймера — «ведучий» сам тисне «далі»
+  while (!record && clock.now() < MAX_GAME_MS) {
+    if (engine.rooms[code].phase === 'round_end') engine.handle(HOST, { type: 'next_phase' });
+    clock.advance(STEP_MS);
+  }
+  if (!record) throw new Error(`партія ${seed} не закінчилась за ${MAX_GAME_MS / 3600000} год гри`);
+  const strategyOf = {};
+  Object.values(engine.rooms[code].players).forEach(p => { strategyOf[p.id] = p.bot; });
+  return { record, events, strategyOf, minutes: clock.now() / 60000 };
+}
+
+function summarize(games) {
+  const byStrategy = {};
+  const reasons = {};
+  const events = { attacks: 0, silence: 0, speak: 0, cancelled: 0, defended: 0 };
+  games.forEach(({ record, events: ev, strategyOf }) => {
+    reasons[record.reason] = (reasons[record.reason] || 0) + 1;
+    Object.keys(events).forEach(k => { events[k] += ev[k]; });
+    record.players.forEach(p => {
+      const s = byStrategy[strategyOf[p.id]] = byStrategy[strategyOf[p.id]] || { seats: 0, wins: 0, score: 0, territory: 0 };
+      s.seats++;
+      s.score += p.score;
+      s.territory += p.territory;
+      if (record.winnerTeam ? p.team === record.winnerTeam : p.id === record.winnerId) s.wins++;
+    });
+  });
+  const round = x => Math.round(x * 100) / 100;
+  Object.values(byStrategy).forEach(s => {
+    s.winRate = round(s.wins / s.seats);
+    s.avgScore = round(s.score / s.seats);
+    s.avgTerritory = round(s.territory / s.seats);
+    delete s.score; delete s.territory;
+  });
+  return {
+    games: games.length,
+    avgRounds: round(games.reduce((n, g) => n + g.record.rounds, 0) / games.length),
+    avgMinutes: round(games.reduce((n, g) => n + g.minutes, 0) / games.length),
+    reasons,
+    // У дебатах атак немає
+    defense: events.attacks ? {
+      silenceRate: round(events.silence / events.attacks),
+      cancelRate: round(events.cancelled / (events.speak || 1)),
+    } : null,
+    strategies: byStrategy,
+  };
+}
+
+function main(argv) {
+  const opts = parseArgs(argv);
+  const library = createLibrary();
+  const games = Array.from({ length: opts.games }, (_, i) => playGame(opts.seed + i, opts, library));
+  const report = summarize(games);
+
+  if (opts.json) { console.log(JSON.stringify(report, null, 2)); return; }
+  console.log(`Ігор: ${report.games} · раундів у середньому ${report.avgRounds} · ${report.avgMinutes} хв гри`);
+  console.log(`Кінець гри: ${Object.entries(report.reasons).map(([r, n]) => `${r} ${n}`).join(', ')}`);
+  if (report.defense) console.log(`Захист: мовчання ${Math.round(report.defense.silenceRate * 100)}%, cancel ${Math.round(report.defense.cancelRate * 100)}% виступів`);
+  Object.entries(report.strategies).forEach(([id, s]) => {
+    console.log(`  ${t(DEFAULT_LOCALE, `bot.${id}`).padEnd(12)} перемоги ${String(Math.round(s.winRate * 100)).padStart(3)}% · очки ${s.avgScore} · територія ${s.avgTerritory}%`);
+  });
+}
+
+if (require.main === module) {
+  try { main(process.argv.slice(2)); }
+  catch (err) { console.error(err.message); process.exitCode = 1; }
+}
+
+module.exports = { playGame, summarize };
@@ -0,0 +1,185 @@
+const { captureCost } = require('./map');
+const { shuffle } = require('./random');
+
+// ─── BOTS ────────────────────────────────────────────────────────────────────
+// Бот — гравець без телефона. Він отримує ті самі повідомлення, що й телефон,
+// і відповідає тими самими діями через engine.handle — тож правила й анти-чит
+// для нього такі самі, як для людей. Тут лише рішення; доставку, затримку
+// «на роздуми» і реєстрацію в кімнаті веде рушій.
+
+// Скільки бот «думає» перед кожною дією, мс
+const THINK_MS = [1500, 4000];
+
+// speak — імовірність захищатись, а не мовчати; cancel — голосувати за cancel.
+// target: кого атакувати; cards: яку картку класти; facts: факт якої тяжкості брати;
+// capture: які клітинки брати першими.
+const STRATEGIES = {
+  random:     { speak: 0.7, cancel: 0.3,  target: 'random',  cards: 'random',  facts: 'random', capture: 'cheap' },
+  aggressive: { speak: 0.9, cancel: 0.6,  target: 'leader',  cards: 'hardest', facts: 'severe', capture: 'enemy' },
+  cautious:   { speak: 0.4, cancel: 0.15, target: 'weakest', cards: 'easiest', facts: 'mild',   capture: 'neutral' },
+};
+
+// Повертає { receive(msg) → дія, список дій або null }. Бот пам'ятає лише те, що бачив би телефон.
+function createBot(playerId, strategyId, rng = Math.random) {
+  const s = STRATEGIES[strategyId];
+  const pick = arr => arr[Math.floor(rng() * arr.length)];
+  const chance = p => rng() < p;
+  let players = [], civs = [], phase = null, speakerId = null, hand = [], lastCapture = null;
+
+  const scoreOf = id => players.find(p => p.id === id)?.score || 0;
+  const teamOf = id => players.find(p => p.id === id)?.team || null;
+  // Свій або тіммейт: таких не оцінюють і за їхній захист не голосують
+  const ally = id => id === playerId || (!!teamOf(playerId) && teamOf(id) === teamOf(playerId));
+
+  function chooseCiv() {
+    const me = players.find(p => p.id === playerId);
+    if (me?.civId) return null;
+    const free = civs.filter(c => !players.some(p => p.civId === c.id));
+    return free.length ? { type: 'choose_civ', civId: pick(free).id } : null;
+  }
+
+  function chooseCard(cards) {
+    if (!cards.length) return null;
+    if (s.cards === 'hardest') return [...cards].sort((a, b) => b.difficulty - a.difficulty)[0];
+    if (s.cards === 'easiest') return [...cards].sort((a, b) => a.difficulty - b.difficulty)[0];
+    return pick(cards);
+  }
+
+  // Серед фактів однакової тяжкості — навмання
+  function chooseFact(facts) {
+    if (!facts.length) return null;
+    if (s.facts === 'random') return pick(facts);
+    const best = (s.facts === 'severe' ? Math.max : Math.min)(...facts.map(f => f.severity || 0));
+    return pick(facts.filter(f => (f.severity || 0) === best));
+  }
+
+  function chooseTarget(targets) {
+    if (s.target === 'leader') return [...targets].sort((a, b) => scoreOf(b.id) - scoreOf(a.id))[0];
+    if (s.target === 'weakest') return [...targets].sort((a, b) => scoreOf(a.id) - scoreOf(b.id))[0];
+    return pick(targets);
+  }
+
+  // Захоплення по одній клітинці на копії карти — так само, як applyCapture на сервері.
+  // Клітинки беремо від імені власника — себе або своєї команди
+  function planCapture(msg) {
+    const owner = msg.owner || playerId;
+    const map = { ...msg.map, cells: msg.map.cells.map(c => ({ ...c })) };
+    const rules = {
+      enemyCost: msg.captureRules?.enemyCost || 0,
+      cutOff: new Set(Object.values(msg.territory || {}).flatMap(t => t.cutOff)),
+    };
+    const prefer = cell => (s.capture === 'enemy' ? (cell.owner ? 0 : 1) : s.capture === 'neutral' ? (cell.owner ? 1 : 0) : 0);
+    const plan = [];
+    let left = msg.capturePoints;
+    for (;;) {
+      const options = map.cells
+        .map(cell => ({ cell, cost: captureCost(map, cell, owner, rules) }))
+        .filter(o => o.cost !== null && o.cost <= left);
+      if (!options.length) break;
+      const best = Math.min(...options.map(o => prefer(o.cell) * 10 + o.cost));
+      const { cell, cost } = pick(options.filter(o => prefer(o.cell) * 10 + o.cost === best));
+      cell.owner = owner;
+      left -= cost;
+      plan.push(cell.id);
+    }
+    return plan;
+  }
+
+  // У віддаленій грі бот «друкує» приклад зі своєї картки
+  function argument(card, limit) {
+    return limit ? { text: (card.example || card.name).slice(0, limit) } : {};
+  }
+
+  // Картку атаки бот знає не більше за людину — вгадує навмання
+  function quizGuess(quiz) {
+    if (!quiz?.options?.length || ally(quiz.attackerId)) return null;
+    return { type: 'quiz_guess', fallacyId: pick(quiz.options).id };
+  }
+
+  function onPhase(msg) {
+    phase = msg.phase;
+    switch (msg.phase) {
+      case 'civ_select':
+        civs = msg.civilizations || [];
+        return chooseCiv();
+      case 'cancel_vote': {
+        const guess = quizGuess(msg.quiz);
+        if (ally(msg.defenderId)) return guess;
+        const vote = { type: 'cancel_vote', vote: chance(s.cancel) ? 'cancel' : 'ok' };
+        return guess ? [vote, guess] : vote;
+      }
+      case 'quiz':
+        return quizGuess(msg.quiz);
+      case 'rating': {
+        // Агресор не додає балів лідеру — ставить його останнім
+        const speakers = [...new Set((msg.speeches || []).map(sp => sp.playerId))].filter(id => !ally(id));
+        let ranked = shuffle(speakers, rng);
+        if (s.target === 'leader') ranked.sort((a, b) => scoreOf(a) - scoreOf(b));
+        ranked = ranked.slice(0, msg.topCount || 1);
+        return ranked.length ? { type: 'submit_rating', ranked } : null;
+      }
+      case 'speech':
+        speakerId = msg.speakerId;
+        return null;
+      case 'map':
+        lastCapture = null;
+        return null;
+    }
+    return null;
+  }
+
+  const handlers = {
+    phase: onPhase,
+    error: msg => (msg.code === 'civ_taken' ? chooseCiv() : null),
+    your_attack_turn(msg) {
+      const target = chooseTarget(msg.targets || []);
+      const card = chooseCard(msg.cards || []);
+      if (!target || !card) return null;
+      const fact = chooseFact(msg.factsPreview?.[target.id] || []);
+      return { type: 'choose_attack', defenderId: target.id, factId: fact ? fact.id : null, fallacyId: card.id, ...argument(card, msg.textLimit) };
+    },
+    // З контркарткою в руці бот (крім випадкового) завжди відбивається нею
+    your_defense_turn(msg) {
+      const counter = s.cards !== 'random' && (msg.cards || []).find(c => msg.counterIds?.includes(c.id));
+      if (counter) return { type: 'defense_choice', choice: 'speak', fallacyId: counter.id, ...argument(counter, msg.textLimit) };
+      const card = chooseCard(msg.cards || []);
+      if (!card || !chance(s.speak)) return { type: 'defense_choice', choice: 'silence' };
+      return { type: 'defense_choice', choice: 'speak', fallacyId: card.id, ...argument(card, msg.textLimit) };
+    },
+    your_topics(msg) {
+      const topics = msg.topics || [];
+      if (!topics.length) return null;
+      const topic = s.cards === 'easiest' ? [...topics].sort((a, b) => a.difficulty - b.difficulty)[0] : pick(topics);
+      return { type: 'choose_topic', topicId: topic.id };
+    },
+    // Картки приходять на фазі карток; спікеру — ще раз на початку його виступу
+    your_hand(msg) {
+      hand = msg.cards || [];
+      if (phase !== 'speech' || speakerId !== playerId) return null;
+      const card = chooseCard(hand);
+      if (!card && msg.textLimit) return null; // нема що надрукувати — чекає кінця таймера
+      return { type: 'speech_done', fallacyId: card ? card.id : null, ...(card && argument(card, msg.textLimit)) };
+    },
+    // Після кожного захоплення сервер присилає залишок; якщо він не змінився — брати нічого
+    map_turn(msg) {
+      if (msg.capturePoints <= 0 || msg.capturePoints === lastCapture) return null;
+      lastCapture = msg.capturePoints;
+      const plan = planCapture(msg);
+      return plan.length ? { type: 'capture', cellIds: plan } : null;
+    },
+  };
+
+  return {
+    receive(msg) {
+      if (Array.isArray(msg.players)) players = msg.players;
+      const handler = handlers[msg.type];
+      return handler ? handler(msg) || null : null;
+    },
+  };
+}
+
+function thinkDelay(rng = Math.random) {
+  return THINK_MS[0] + Math.floor(rng() * (THINK_MS[1] - THINK_MS[0]));
+}
+
+module.exports = { STRATEGIES, THINK_MS, createBot, thinkDelay };
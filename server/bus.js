@@ -0,0 +1,246 @@
+const EventEmitter = require('events');
+const net = require('net');
+
+// ─── BUS ─────────────────────────────────────────────────────────────────────
+// Pub/sub і реєстр власників кімнат для кількох екземплярів сервера (./router).
+// Будь-яка реалізація має той самий набір методів:
+//
+//   publish(channel, data)        — розіслати об'єкт усім підписникам каналу
+//   subscribe(channel, fn)        — fn(data) на кожне повідомлення каналу
+//   claim(key, value, ttlMs)      — записати, якщо ключ вільний або вже наш → true
+//   get(key)                      — значення або null
+//   refresh(key, ttlMs)           — продовжити життя ключа
+//   release(key)                  — видалити ключ
+//   close()
+//
+// Усе, крім subscribe, повертає Promise. Повідомлення завжди копіюються через
+// JSON — щоб код, який працює з пам'яттю, поводився так само, як через мережу.
+
+// В одному процесі: кілька роутерів (наприклад, у перевірках) ділять одну шину.
+// Ключі без TTL — екземпляр не може «впасти» окремо від решти процесу.
+function createMemoryBus() {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const keys = new Map();
+
+  return {
+    publish(channel, data) {
+      events.emit(channel, JSON.parse(JSON.stringify(data)));
+      return Promise.resolve();
+    },
+    subscribe(channel, fn) {
+      events.on(channel, fn);
+    },
+    claim(key, value) {
+      if (!keys.has(key)) keys.set(key, value);
+      return Promise.resolve(keys.get(key) === value);
+    },
+    get(key) {
+      return Promise.resolve(keys.get(key) ?? null);
+    },
+    refresh() {
+      return Promise.resolve();
+    },
+    release(key) {
+      keys.delete(key);
+      return Promise.resolve();
+    },
+    close() {
+      events.removeAllListeners();
+    },
+  };
+}
+
+// ─── RESP ────────────────────────────────────────────────────────────────────
+// Протокол Redis (RESP2) — рівно стільки, скільки треба шині: команди як масиви
+// рядків і п'ять типів відповідей. Цим же кодом користується scripts/resp-server.js.
+
+// Скільки чекаємо відповіді на команду
+const COMMAND_TIMEOUT_MS = 5 * 1000;
+// Пауза перед повторним підключенням: від MIN, подвоюючись, до MAX
+const RECONNECT_MIN_MS = 100;
+const RECONNECT_MAX_MS = 5 * 1000;
+
+function encodeResp(value) {
+  if (value === null) return '$-1\r\n';
+  if (Array.isArray(value)) return `*${value.length}\r\n` + value.map(encodeResp).join('');
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (value && value.status) return `+${value.status}\r\n`;
+  const s = String(value);
+  return `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+}
+
+// [значення, кінець] або null, якщо відповідь ще не дійшла повністю
+function parseResp(buf, start = 0) {
+  const eol = buf.indexOf('\r\n', start);
+  if (eol < 0) return null;
+  const line = buf.toString('utf8', start + 1, eol);
+  const next = eol + 2;
+  switch (String.fromCharCode(buf[start])) {
+    case '+': return [line, next];
+    case '-': return [new Error(line), next];
+    case ':': return [Number(line), next];
+    case '$': {
+      const len = Number(line);
+      if (len < 0) return [null, next];
+      if (buf.length < next + len + 2) return null;
+      return [buf.toString('utf8', next, next + len), next + len + 2];
+    }
+    case '*': {
+      const len = Number(line);
+      if (len < 0) return [null, next];
+      const items = [];
+      let pos = next;
+      for (let i = 0; i < len; i++) {
+        const item = parseResp(buf, pos);
+        if (!item) return null;
+        items.push(item[0]);
+        pos = item[1];
+      }
+      return [items, pos];
+    }
+  }
+  throw new Error(`RESP: невідомий тип відповіді «${String.fromCharCode(buf[start])}»`);
+}
+
+// Одне з'єднання: command(...args) → Promise відповіді. Повідомлення підписок
+// (['message', канал, дані]) відповідями не є — вони йдуть в onMessage.
+// Відповіді йдуть по черзі, тож команда без відповіді за timeoutMs ламає весь
+// потік — таке з'єднання закриваємо, і всі, хто чекав, отримують помилку.
+function createRespConnection(socket, onMessage = () => {}, { timeoutMs = COMMAND_TIMEOUT_MS } = {}) {
+  const pending = [];
+  let buf = Buffer.alloc(0);
+  let closed = false;
+
+  socket.on('data', chunk => {
+    buf = Buffer.concat([buf, chunk]);
+    let parsed;
+    while (buf.length && (parsed = parseResp(buf))) {
+      const [value, end] = parsed;
+      buf = buf.subarray(end);
+      if (Array.isArray(value) && value[0] === 'message') { onMessage(value[1], value[2]); continue; }
+      const p = pending.shift();
+      if (!p) continue;
+      clearTimeout(p.timer);
+      value instanceof Error ? p.reject(value) : p.resolve(value);
+    }
+  });
+  const fail = err => pending.splice(0).forEach(p => { clearTimeout(p.timer); p.reject(err); });
+  socket.on('error', fail);
+  socket.on('close', () => {
+    closed = true;
+    fail(new Error('RESP: з\'єднання закрито'));
+  });
+
+  return {
+    command(...args) {
+      if (closed) return Promise.reject(new Error('RESP: з\'єднання закрито'));
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          fail(new Error(`RESP: немає відповіді за ${timeoutMs} мс`));
+          socket.destroy();
+        }, timeoutMs);
+        pending.push({ resolve, reject, timer });
+        socket.write(encodeResp(args.map(String)));
+      });
+    },
+    close() {
+      closed = true;
+      socket.end();
+    },
+  };
+}
+
+// Redis чи будь-який сумісний сервер. url — redis://[:пароль@]хост:порт;
+// connect(port, host) → сокет можна підмінити в перевірках.
+// Підписки тримають окреме з'єднання: у режимі SUBSCRIBE інших команд Redis не приймає.
+// Обірване з'єднання відновлюється з паузою, що зростає до RECONNECT_MAX_MS; між
+// обривом і новою спробою команди одразу відхиляються — роутер вирішить сам, а не чекатиме.
+function createRedisBus({ url = 'redis://127.0.0.1:6379', connect = (port, host) => net.createConnection(port, host), logger = console, timeoutMs = COMMAND_TIMEOUT_MS } = {}) {
+  const { hostname, port, password } = new URL(url);
+  let closing = false;
+
+  // Поки сокет підключається, команди чекають у ньому (з тим самим тайм-аутом);
+  // onReady(conn) — одразу за AUTH на кожному новому з'єднанні
+  function link(name, onMessage, onReady = () => {}) {
+    let conn = null, delay = RECONNECT_MIN_MS, retry = null, lost = false;
+
+    function open() {
+      const socket = connect(Number(port) || 6379, hostname || '127.0.0.1');
+      const current = conn = createRespConnection(socket, onMessage, { timeoutMs });
+      socket.on('error', err => logger.error(`[Bus] ${name}:`, err.message));
+      socket.on('connect', () => {
+        if (lost) logger.log(`[Bus] ${name}: з'єднання відновлено`);
+        lost = false;
+        delay = RECONNECT_MIN_MS;
+      });
+      socket.on('close', () => {
+        if (conn === current) conn = null;
+        if (closing) return;
+        if (!lost) logger.error(`[Bus] ${name}: з'єднання втрачено`);
+        lost = true;
+        retry = setTimeout(open, delay);
+        retry.unref?.();
+        delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+      });
+      if (password) conn.command('AUTH', decodeURIComponent(password)).catch(err => logger.error('[Bus] AUTH:', err.message));
+      onReady(conn);
+    }
+    open();
+
+    return {
+      command: (...args) => (conn ? conn.command(...args) : Promise.reject(new Error(`RESP: немає з'єднання з ${hostname}:${port || 6379}`))),
+      connected: () => !!conn,
+      close() {
+        clearTimeout(retry);
+        conn?.close();
+      },
+    };
+  }
+
+  const handlers = {};
+  const subscribeOn = (conn, channel) => conn.command('SUBSCRIBE', channel)
+    .catch(err => logger.error('[Bus] SUBSCRIBE:', err.message));
+
+  const cmd = link('команди');
+  // Після перепідключення Redis не пам'ятає підписок — відновлюємо всі
+  const sub = link('підписки', (channel, raw) => {
+    let data; try { data = JSON.parse(raw); } catch { return; }
+    (handlers[channel] || []).forEach(fn => fn(data));
+  }, conn => Object.keys(handlers).forEach(channel => subscribeOn(conn, channel)));
+
+  return {
+    publish(channel, data) {
+      return cmd.command('PUBLISH', channel, JSON.stringify(data));
+    },
+    subscribe(channel, fn) {
+      if (!handlers[channel]) {
+        handlers[channel] = [];
+        // Без з'єднання підпишемо на наступному — разом з усіма іншими
+        if (sub.connected()) subscribeOn(sub, channel);
+      }
+      handlers[channel].push(fn);
+    },
+    async claim(key, value, ttlMs) {
+      if (await cmd.command('SET', key, value, 'NX', 'PX', ttlMs) === 'OK') return true;
+      return await cmd.command('GET', key) === value;
+    },
+    get(key) {
+      return cmd.command('GET', key);
+    },
+    refresh(key, ttlMs) {
+      return cmd.command('PEXPIRE', key, ttlMs);
+    },
+    release(key) {
+      return cmd.command('DEL', key);
+    },
+    close() {
+      closing = true;
+      cmd.close();
+      sub.close();
+    },
+  };
+}
+
+module.exports = { createMemoryBus, createRedisBus, encodeResp, parseResp };
@@ -0,0 +1,38 @@
+// ─── CLOCK ───────────────────────────────────────────────────────────────────
+// Час і таймери для рушія гри. Сервер бере системний годинник; симуляції й
+// перевірки — ручний, який рухається лише через advance().
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: id => clearTimeout(id),
+};
+
+function createManualClock(start = 0) {
+  let now = start, nextId = 1;
+  const timers = new Map(); // id -> { at, fn }
+
+  // Виконує всі таймери, що спливають до now + ms, у порядку часу
+  function advance(ms) {
+    const until = now + ms;
+    for (;;) {
+      let next = null;
+      timers.forEach((t, id) => { if (t.at <= until && (!next || t.at < next.at || (t.at === next.at && id < next.id))) next = { ...t, id }; });
+      if (!next) break;
+      timers.delete(next.id);
+      now = Math.max(now, next.at);
+      next.fn();
+    }
+    now = until;
+  }
+
+  return {
+    now: () => now,
+    setTimeout(fn, ms) { const id = nextId++; timers.set(id, { at: now + Math.max(0, ms || 0), fn }); return id; },
+    clearTimeout(id) { timers.delete(id); },
+    advance,
+    pending: () => timers.size,
+  };
+}
+
+module.exports = { systemClock, createManualClock };
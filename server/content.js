@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// ─── CONTENT ─────────────────────────────────────────────────────────────────
+// Картки софізмів, цивілізації, факти конфронтацій і теми дебатів з теки data/
+
+const DATA_DIR  = path.join(__dirname, '../data');
+const PACKS_DIR = path.join(__dirname, '../packs');
+
+function loadContent(dir = DATA_DIR) {
+  const read = file => JSON.parse(fs.readFileSync(path.join(dir, file)));
+  const civData = read('civilizations.json');
+  return {
+    fallacies: read('fallacies.json'),
+    civilizations: civData.civilizations,
+    confrontations: civData.confrontations,
+    severity: civData.severity || {},
+    // У файлі тем немає id — нумеруємо за порядком, як картки
+    topics: read('topics.json').map((t, i) => ({ id: i + 1, ...t })),
+  };
+}
+
+// Факти конфронтації між двома цивілізаціями (в будь-якому порядку ключа)
+function getConfrontationFacts(content, civA, civB) {
+  return content.confrontations[`${civA}_vs_${civB}`]
+      || content.confrontations[`${civB}_vs_${civA}`]
+      || [];
+}
+
+// ─── LOCALES ─────────────────────────────────────────────────────────────────
+// Тексти в полях елемента — мовою за замовчуванням (українською). Переклади лежать
+// поруч, у полі i18n: { "en": { "name": "…", "desc": "…" } } — лише ті поля, що
+// перекладено; решта лишається як є. id, type, category і tag — ідентифікатори,
+// їх не перекладають (підписи категорій і тегів — у каталогах public/i18n/).
+
+const LOCALIZED = {
+  fallacies:      { name: 80, short: 80, desc: 500, hint: 500, example: 500 },
+  civilizations:  { name: 60, capital: 60, era: 60, description: 200 },
+  confrontations: { title: 2000, body: 2000, attacker_angle: 2000, defender_angle: 2000 },
+  topics:         { text: 200 },
+};
+const LOCALE = /^[a-z]{2}$/;
+
+const localized = new WeakMap(); // зміст -> { мова: перекладений зміст }
+
+// Зміст однією мовою, без полів i18n. Результат кешується — кімнати однієї
+// мови ділять той самий об'єкт, як і без перекладу
+function localizeContent(content, locale) {
+  const cache = localized.get(content) || {};
+  localized.set(content, cache);
+  if (cache[locale]) return cache[locale];
+  const pick = ({ i18n, ...item }) => ({ ...item, ...i18n?.[locale] });
+  return (cache[locale] = {
+    ...content,
+    fallacies: content.fallacies.map(pick),
+    civilizations: content.civilizations.map(pick),
+    confrontations: Object.fromEntries(Object.entries(content.confrontations).map(([key, facts]) => [key, facts.map(pick)])),
+    topics: content.topics.map(pick),
+  });
+}
+
+// ─── PACKS ───────────────────────────────────────────────────────────────────
+// Набір змісту — той самий набір розділів, що й data/: fallacies, civilizations,
+// confrontations (ключі a_vs_b), severity і topics. Набір може бути текою packs/<id>/
+// (pack.json з назвою + будь-які з fallacies.json, civilizations.json, topics.json),
+// одним файлом packs/<id>.json або JSON-бандлом, завантаженим ведучим.
+// Розділи, яких у наборі немає, беруться зі стандартного набору.
+
+const PACK_ID = /^[a-z0-9_-]{1,40}$/;
+const CIV_ID = /^[a-z0-9]+(?:_[a-z0-9]+)*$/;
+const FACT_TYPE = /^[a-z_]{1,40}$/;
+const LIMITS = { difficulty: [1, 4], severity: [1, 5], stake: [0, 10], maxErrors: 50 };
+
+// Пасивні вміння цивілізацій (поле ability) і межі їхнього value:
+//   capture_bonus   — стільки очок захоплення додатково на кожній фазі карти
+//   extra_card      — стільки карток у руці понад handSize
+//   extra_discard   — стільки скидань за раунд понад discards
+//   cancel_immunity — стільки скасувань захисту за гру не діють: захист зараховано
+const ABILITIES = {
+  capture_bonus:   [1, 5],
+  extra_card:      [1, 3],
+  extra_discard:   [1, 5],
+  cancel_immunity: [1, 3],
+};
+
+const isText = (v, max) => typeof v === 'string' && v.trim().length > 0 && v.length <= max;
+const isInt = (v, [min, max]) => Number.isInteger(v) && v >= min && v <= max;
+
+// Розділи бандла поверх базового змісту; нові цивілізації без конфронтацій — без фактів
+function mergePack(bundle, base) {
+  const civilizations = bundle.civilizations ?? base.civilizations;
+  return {
+    fallacies: bundle.fallacies ?? base.fallacies,
+    civilizations,
+    confrontations: bundle.confrontations ?? (bundle.civilizations ? {} : base.confrontations),
+    severity: bundle.severity ?? base.severity ?? {},
+    topics: Array.isArray(bundle.topics)
+      ? bundle.topics.map((t, i) => (t && typeof t === 'object' ? { ...t, id: i + 1 } : t))
+      : base.topics,
+  };
+}
+
+// Перевіряє зміст набору. errors — набір не можна використати;
+// warnings — можна, але частина гри буде бідніша (напр. пара цивілізацій без фактів).
+// issues — те саме з кодами і шляхами, для машинної обробки (npm run lint-content).
+function validatePack(content) {
+  const issues = [];
+  let errorCount = 0;
+  const err = (at, code, message) => {
+    if (errorCount++ < LIMITS.maxErrors) issues.push({ level: 'error', code, path: at, message });
+  };
+  const warn = (at, code, message) => issues.push({ level: 'warning', code, path: at, message });
+  // Порожній рядок — окремий код: так найчастіше виглядає забутий кут атаки чи захисту
+  const text = (obj, at, key, max) => {
+    const v = obj[key];
+    if (typeof v === 'string' && !v.trim()) err(`${at}.${key}`, 'empty_text', 'порожній текст');
+    else if (!isText(v, max)) err(`${at}.${key}`, 'schema', `непорожній рядок до ${max} символів`);
+  };
+  // Переклади: лише відомі поля, ті самі межі довжини, що й в оригіналу
+  const translations = (obj, at, fields) => {
+    if (obj.i18n === undefined) return;
+    if (!obj.i18n || typeof obj.i18n !== 'object' || Array.isArray(obj.i18n)) { err(`${at}.i18n`, 'schema', 'очікується об\'єкт { мова: { поле: текст } }'); return; }
+    Object.entries(obj.i18n).forEach(([locale, tr]) => {
+      const lat = `${at}.i18n.${locale}`;
+      if (!LOCALE.test(locale)) err(lat, 'bad_locale', 'код мови — дві латинські літери (en, pl, …)');
+      else if (!tr || typeof tr !== 'object' || Array.isArray(tr)) err(lat, 'schema', 'очікується об\'єкт з перекладеними полями');
+      else Object.keys(tr).forEach(key => {
+        if (!(key in fields)) err(`${lat}.${key}`, 'schema', `перекладати можна лише ${Object.keys(fields).join(', ')}`);
+        else text(tr, lat, key, fields[key]);
+      });
+    });
+  };
+  const { fallacies, civilizations, confrontations, severity, topics } = content;
+
+  if (!Array.isArray(fallacies)) err('fallacies', 'schema', 'очікується масив карток');
+  else {
+    const ids = new Set();
+    fallacies.forEach((f, i) => {
+      const at = `fallacies[${i}]`;
+      if (!f || typeof f !== 'object') { err(at, 'schema', 'очікується об\'єкт'); return; }
+      if (!isInt(f.id, [0, 999999])) err(`${at}.id`, 'schema', 'ціле невід\'ємне число');
+      else if (ids.has(f.id)) err(`${at}.id`, 'duplicate_id', `повторюється id ${f.id}`);
+      else ids.add(f.id);
+      text(f, at, 'name', 80);
+      text(f, at, 'desc', 500);
+      translations(f, at, LOCALIZED.fallacies);
+      if (!isInt(f.difficulty, LIMITS.difficulty)) err(`${at}.difficulty`, 'schema', `ціле від ${LIMITS.difficulty[0]} до ${LIMITS.difficulty[1]}`);
+      if (f.counters !== undefined && (!Array.isArray(f.counters) || !f.counters.every(c => isInt(c, [0, 999999]) || isText(c, 40)))) {
+        err(`${at}.counters`, 'schema', 'масив тегів (рядки) або id карток (числа)');
+      }
+    });
+    if (!fallacies.some(f => f && f.id !== 0)) err('fallacies', 'no_cards', 'потрібна хоча б одна картка, крім «Зеро» (id 0)');
+    // Контркартки: невідомий id — помилка; тег, якого немає в жодної картки, нічого
+    // не відбиває, але гру не ламає
+    const tags = new Set(fallacies.map(f => f?.tag));
+    fallacies.forEach((f, i) => Array.isArray(f?.counters) && f.counters.forEach((c, k) => {
+      const at = `fallacies[${i}].counters[${k}]`;
+      if (typeof c === 'number' && !ids.has(c)) err(at, 'unknown_counter', `немає картки з id ${c}`);
+      if (typeof c === 'string' && !tags.has(c)) warn(at, 'unknown_counter', `жодна картка не має тегу «${c}»`);
+    }));
+  }
+
+  const civIds = new Set();
+  if (!Array.isArray(civilizations)) err('civilizations', 'schema', 'очікується масив цивілізацій');
+  else {
+    civilizations.forEach((c, i) => {
+      const at = `civilizations[${i}]`;
+      if (!c || typeof c !== 'object') { err(at, 'schema', 'очікується об\'єкт'); return; }
+      if (typeof c.id !== 'string' || !CIV_ID.test(c.id) || c.id.includes('_vs_')) err(`${at}.id`, 'schema', 'латиниця, цифри і _ (без «_vs_»)');
+      else if (civIds.has(c.id)) err(`${at}.id`, 'duplicate_id', `повторюється id ${c.id}`);
+      else civIds.add(c.id);
+      text(c, at, 'name', 60);
+      text(c, at, 'emoji', 16);
+      translations(c, at, LOCALIZED.civilizations);
+      if (c.ability !== undefined) {
+        const range = ABILITIES[c.ability?.type];
+        if (!range) err(`${at}.ability.type`, 'unknown_ability', `одне з ${Object.keys(ABILITIES).join(', ')}`);
+        else if (!isInt(c.ability.value, range)) err(`${at}.ability.value`, 'schema', `ціле від ${range[0]} до ${range[1]}`);
+      }
+    });
+    if (civIds.size < 8) warn('civilizations', 'few_civilizations', `лише ${civIds.size} — у повній кімнаті (8 гравців) цивілізації повторяться`);
+  }
+
+  if (!confrontations || typeof confrontations !== 'object' || Array.isArray(confrontations)) err('confrontations', 'schema', 'очікується об\'єкт з ключами a_vs_b');
+  else {
+    const factIds = new Set(), pairs = new Set();
+    Object.entries(confrontations).forEach(([key, facts]) => {
+      const at = `confrontations.${key}`;
+      const [a, b, extra] = key.split('_vs_');
+      if (!b || extra !== undefined || !civIds.has(a) || !civIds.has(b) || a === b) { err(at, 'bad_pair', 'ключ має бути «a_vs_b» з двох різних відомих цивілізацій'); return; }
+      const pair = [a, b].sort().join('|');
+      if (pairs.has(pair)) err(at, 'duplicate_pair', `пару вже описано ключем ${b}_vs_${a}`);
+      pairs.add(pair);
+      if (!Array.isArray(facts)) { err(at, 'schema', 'очікується масив фактів'); return; }
+      facts.forEach((f, i) => {
+        const fat = `${at}[${i}]`;
+        if (!f || typeof f !== 'object') { err(fat, 'schema', 'очікується об\'єкт'); return; }
+        if (!isText(f.id, 80)) err(`${fat}.id`, 'schema', 'непорожній рядок');
+        else if (factIds.has(f.id)) err(`${fat}.id`, 'duplicate_id', `повторюється id ${f.id}`);
+        else factIds.add(f.id);
+        ['title', 'body', 'attacker_angle', 'defender_angle'].forEach(k => text(f, fat, k, 2000));
+        translations(f, fat, LOCALIZED.confrontations);
+        if (typeof f.type !== 'string' || !FACT_TYPE.test(f.type)) err(`${fat}.type`, 'schema', 'латиниця в нижньому регістрі і _');
+        if (!isInt(f.severity, LIMITS.severity)) err(`${fat}.severity`, 'schema', `ціле від ${LIMITS.severity[0]} до ${LIMITS.severity[1]}`);
+      });
+    });
+    // Незакриті пари не ламають гру — атакуючий лише не матиме фактів проти цієї цілі
+    const ids = [...civIds];
+    ids.forEach((a, i) => ids.slice(i + 1).forEach(b => {
+      if (!getConfrontationFacts(content, a, b).length) warn('confrontations', 'missing_pair', `немає фактів для пари ${a}_vs_${b}`);
+    }));
+  }
+
+  // Ставки атаки за тяжкістю факту: { "5": { "landed": 3, "repelled": 3 } } — бонус
+  // атакуючому, якщо атака влучила, і штраф, якщо захист прийняли. Рівень без запису — без ставки
+  if (!severity || typeof severity !== 'object' || Array.isArray(severity)) err('severity', 'schema', 'очікується об\'єкт { рівень: { landed, repelled } }');
+  else Object.entries(severity).forEach(([level, stake]) => {
+    const at = `severity.${level}`;
+    if (!isInt(Number(level), LIMITS.severity) || String(Number(level)) !== level) { err(at, 'schema', `рівень — ціле від ${LIMITS.severity[0]} до ${LIMITS.severity[1]}`); return; }
+    if (!stake || typeof stake !== 'object') { err(at, 'schema', 'очікується об\'єкт { landed, repelled }'); return; }
+    Object.keys(stake).forEach(k => {
+      if (k !== 'landed' && k !== 'repelled') err(`${at}.${k}`, 'schema', 'лише landed і repelled');
+      else if (!isInt(stake[k], LIMITS.stake)) err(`${at}.${k}`, 'schema', `ціле від ${LIMITS.stake[0]} до ${LIMITS.stake[1]}`);
+    });
+  });
+
+  if (!Array.isArray(topics)) err('topics', 'schema', 'очікується масив тез');
+  else topics.forEach((t, i) => {
+    const at = `topics[${i}]`;
+    if (!t || typeof t !== 'object') { err(at, 'schema', 'очікується об\'єкт'); return; }
+    text(t, at, 'text', 200);
+    if (!isInt(t.difficulty, LIMITS.difficulty)) err(`${at}.difficulty`, 'schema', `ціле від ${LIMITS.difficulty[0]} до ${LIMITS.difficulty[1]}`);
+    text(t, at, 'category', 40);
+    translations(t, at, LOCALIZED.topics);
+  });
+
+  const format = i => `${i.path}: ${i.message}`;
+  return {
+    errors: issues.filter(i => i.level === 'error').map(format),
+    warnings: issues.filter(i => i.level === 'warning').map(format),
+    issues,
+  };
+}
+
+// Набір з теки або одного файлу: { name, description, ...розділи }
+function readPackSource(file) {
+  const read = f => JSON.parse(fs.readFileSync(f));
+  if (!fs.statSync(file).isDirectory()) return read(file);
+  const opt = f => (fs.existsSync(path.join(file, f)) ? read(path.join(file, f)) : undefined);
+  const manifest = opt('pack.json') || {};
+  const civData = opt('civilizations.json');
+  return {
+    ...manifest,
+    fallacies: opt('fallacies.json'),
+    civilizations: civData?.civilizations,
+    confrontations: civData?.confrontations,
+    severity: civData?.severity,
+    topics: opt('topics.json'),
+  };
+}
+
+function packStats(content) {
+  return {
+    fallacies: content.fallacies.length, civilizations: content.civilizations.length,
+    facts: Object.values(content.confrontations).reduce((n, facts) => n + facts.length, 0),
+    topics: content.topics.length,
+  };
+}
+
+// Бібліотека наборів. Кожне перезавантаження створює новий об'єкт змісту, тож
+// кімнати, які вже грають, лишаються з тим змістом, з яким почали.
+//
+//   get(id)              — зміст набору або null
+//   list(owner)          — описи наборів; завантажені видно лише кімнаті-власнику
+//   add(bundle, owner)   — перевірити і зареєструвати завантажений бандл
+//   remove(id)           — прибрати завантажений набір
+//   reload()             — перечитати data/ і packs/
+//   watch()              — перечитувати при змінах на диску (для розробки)
+//
+// Подія 'reloaded' — після кожного reload().
+function createLibrary({ dataDir = DATA_DIR, packsDir = PACKS_DIR, base, logger = console } = {}) {
+  const library = new EventEmitter();
+  const packs = {}; // id -> { id, name, description, builtin, owner, warnings, stats, content }
+
+  function register(id, bundle, extra) {
+    const content = mergePack(bundle, packs.standard?.content || {});
+    const { errors, warnings } = validatePack(content);
+    if (errors.length) return { errors, warnings };
+    packs[id] = {
+      id, name: isText(bundle.name, 60) ? bundle.name.trim() : id,
+      description: isText(bundle.description, 300) ? bundle.description.trim() : '',
+      warnings, stats: packStats(content), content, ...extra,
+    };
+    return { pack: packs[id], errors, warnings };
+  }
+
+  function reload() {
+    const standard = base || loadContent(dataDir);
+    Object.keys(packs).filter(id => !packs[id].owner).forEach(id => delete packs[id]);
+    packs.standard = {
+      id: 'standard', name: 'Стандартний набір', description: '', builtin: true,
+      warnings: validatePack(standard).warnings, stats: packStats(standard), content: standard,
+    };
+    if (!base && fs.existsSync(packsDir)) {
+      fs.readdirSync(packsDir).forEach(entry => {
+        const id = entry.replace(/\.json$/, '');
+        if (id === 'standard' || !PACK_ID.test(id) || entry.startsWith('.')) return;
+        try {
+          const { errors } = register(id, readPackSource(path.join(packsDir, entry)), { builtin: true });
+          if (errors.length) logger.error(`[Packs] ${id} відхилено:`, errors.slice(0, 5).join('; '), { packId: id });
+        } catch (err) {
+          logger.error(`[Packs] ${id}: не вдалося прочитати —`, err.message, { packId: id });
+        }
+      });
+    }
+    library.emit('reloaded');
+  }
+
+  // fs.watch({recursive}) на Linux є лише з Node 20, тож стежимо за кожною
+  // текою окремо і після перезавантаження дочіплюємо нові (свіжий набір-тека)
+  function watch() {
+    let pending = null;
+    const watchers = new Map();
+    const dirsUnder = d => [d, ...fs.readdirSync(d, { withFileTypes: true })
+      .filter(e => e.isDirectory())
+      .flatMap(e => dirsUnder(path.join(d, e.name)))];
+    const rewatch = () => {
+      const dirs = new Set([dataDir, packsDir].filter(d => fs.existsSync(d)).flatMap(dirsUnder));
+      watchers.forEach((w, d) => { if (!dirs.has(d)) { w.close(); watchers.delete(d); } });
+      dirs.forEach(d => { if (!watchers.has(d)) watchers.set(d, fs.watch(d, onChange).on('error', () => {})); });
+    };
+    const onChange = () => {
+      clearTimeout(pending);
+      pending = setTimeout(() => {
+        try { reload(); rewatch(); logger.log('[Packs] набори перезавантажено'); }
+        catch (err) { logger.error('[Packs] перезавантаження не вдалося:', err.message); }
+      }, 200);
+    };
+    rewatch();
+    return () => { clearTimeout(pending); watchers.forEach(w => w.close()); watchers.clear(); };
+  }
+
+  reload();
+
+  return Object.assign(library, {
+    get: id => packs[id]?.content || null,
+    info: id => packs[id] || null,
+    list: owner => Object.values(packs)
+      .filter(p => !p.owner || p.owner === owner)
+      .map(({ id, name, description, warnings, stats, owner }) => ({ id, name, description, warnings, stats, uploaded: !!owner })),
+    add(bundle, owner, id = 'upload-' + crypto.randomBytes(4).toString('hex')) {
+      if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) return { errors: ['pack: очікується JSON-об\'єкт'], warnings: [] };
+      return register(id, bundle, { owner, source: bundle });
+    },
+    remove(id) { if (packs[id]?.owner) delete packs[id]; },
+    reload, watch,
+  });
+}
+
+module.exports = { loadContent, getConfrontationFacts, localizeContent, mergePack, validatePack, readPackSource, createLibrary, DATA_DIR, PACKS_DIR };
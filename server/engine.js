@@ -0,0 +1,2533 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { validateSettings, presetSettings, listPresets } = require('./settings');
+const { TERRAIN, initMap, territoryStats, captureCost } = require('./map');
+const { createLibrary, getConfrontationFacts, localizeContent } = require('./content');
+const { systemClock } = require('./clock');
+const { shuffle, randomId } = require('./random');
+const { validateMessage } = require('./validate');
+const { LOCALES, DEFAULT_LOCALE, pickLocale, t, errorText } = require('./i18n');
+const { STRATEGIES, createBot, thinkDelay } = require('./bots');
+const { sanitizeText, maskProfanity } = require('./text');
+
+// ─── ENGINE ──────────────────────────────────────────────────────────────────
+// Правила гри без транспорту. Рушій приймає дії від з'єднань і повідомляє про
+// все, що треба розіслати, через події; час і випадковість передаються ззовні.
+//
+//   engine.handle(connId, msg[, roomCode])  — повідомлення клієнта (вже розібраний
+//                                  JSON); roomCode — код для create_room, якщо його
+//                                  заздалегідь зарезервував роутер (./router)
+//   engine.disconnect(connId)   — з'єднання закрилося
+//   engine.uploadPack(code, hostSecret, bundle) — набір змісту від ведучого
+//
+// Боти живуть усередині рушія: їхні повідомлення не йдуть у 'send', а
+// відповіді надходять через той самий handle після THINK_MS з ./bots.
+//
+// Кімната має мову (room.locale, ./i18n): нею приходять зміст, імена за
+// замовчуванням і текст помилок. Помилки клієнту — { type: 'error', code, …, msg }.
+//
+// Події:
+//   'send'        (connId, msg)  — надіслати повідомлення одному з'єднанню
+//   'close'       (connId)       — закрити з'єднання, яке замінило нове (resume/reclaim)
+//   'changed'     (room)         — стан кімнати варто зберегти
+//   'game_over'   (record)       — запис завершеної гри для архіву
+//   'room_opened' (code)         — кімнату створено або відновлено зі знімка
+//   'room_closed' (code)         — кімнату закрито назавжди
+//   'phase'       (room, prev)   — нова фаза; prev = { phase, ms } — скільки тривала попередня
+//   'timeout'     (room, phase)  — таймер фази сплив і рушій сам завершив фазу
+//   'disconnected' (room, { role, playerId, phase }) — ведучий чи гравець відпав посеред гри
+//   'client_error' (room, code)  — клієнт отримав помилку; room — null поза кімнатою
+
+const PHASES = {
+  LOBBY:        'lobby',
+  CIV_SELECT:   'civ_select',
+  ROUND_START:  'round_start',
+  ATTACK_PREP:  'attack_prep',
+  DEFENSE:      'defense',
+  CANCEL_VOTE:  'cancel_vote',
+  QUIZ:         'quiz',         // вікторина: вгадування софізму, коли захисник промовчав
+  TOPIC_SELECT: 'topic_select', // дебати
+  CARDS:        'cards',        // дебати
+  SPEECH:       'speech',       // дебати
+  RATING:       'rating',
+  MAP:          'map',
+  ROUND_END:    'round_end',
+  GAME_OVER:    'game_over',
+};
+
+// Скільки чекаємо на повернення гравця, перш ніж прибрати його з кімнати
+const RESUME_GRACE_MS = 90 * 1000;
+// Без екрана ведучого: спершу ставимо таймери на паузу, згодом закриваємо кімнату
+const HOST_PAUSE_MS   = 20 * 1000;
+const HOST_ABANDON_MS = 15 * 60 * 1000;
+// Скільки екранів ведучого (разом зі співведучими) може тримати кімната; зайвий витісняє
+// найстарішого співведучого, а екрани із секретом ведучого не витісняються ніколи
+const MAX_HOST_SCREENS = 4;
+// Мінімальна відстрочка таймера відновленої кімнати — телефони встигають перепідключитись
+const RESTORE_MIN_DELAY_MS = 5000;
+// Скільки глядачів (разом із тимчасово відключеними) пам'ятає кімната
+const MAX_SPECTATORS = 100;
+// Журнал подій гри: далі лише позначка про обрізання — знімок кімнати не росте безмежно
+const MAX_LOG_EVENTS = 5000;
+// Скільки показуємо розкриту картку вікторини, перш ніж перейти до наступної атаки
+const QUIZ_REVEAL_MS = 6000;
+// Код кімнати: без символів, які легко сплутати вголос чи на екрані (0/O, 1/I/L)
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 4;
+// Прибирання кімнат: без жодного повідомлення довше за IDLE; завершена гра — через FINISHED
+const ROOM_IDLE_MS     = 2 * 60 * 60 * 1000;
+const ROOM_FINISHED_MS = 30 * 60 * 1000;
+// Скільки кімнат одночасно тримає один сервер (MAX_ROOMS у server.js)
+const MAX_ROOMS = 200;
+
+function createRoom(code) {
+  return {
+    code, phase: PHASES.LOBBY,
+    settings: presetSettings('standard'), preset: 'standard',
+    packId: 'standard',    // набір змісту; content фіксується на старті гри
+    content: null,
+    upload: null,          // { id, bundle } — набір, завантажений ведучим цієї кімнати
+    host: null, hostSecret: null, cohostSecret: null, players: {}, round: 0,
+    attackOrder: [], currentAttackerIdx: 0, // черга атак; у дебатах — черга виступів
+    currentAttack: null,   // { attackerId, defenderId, factId, fallacyId, text, attackerCards, defenderCards, fact, defenseFallacyId, countered }
+    defenseChoice: null,   // 'speak' | 'silence'
+    cancelVotes: {},       // playerId -> 'cancel' | 'ok'
+    quiz: null,            // вікторина поточної атаки: { answerId, options: [{ id, name, short }], guesses: { playerId: fallacyId }, revealed }
+    topicOffers: {},       // дебати: playerId -> [topic, ...] — тези на вибір у цьому раунді
+    theses: {},            // дебати: playerId -> topic
+    hands: {},             // playerId -> [card, ...] — рука на весь раунд
+    decks: {},             // playerId -> { draw: [id], discard: [id], discarded } — колода, з якої добирає рука
+    abilityUses: {},       // playerId -> скільки разів за гру спрацював імунітет до скасування (cancel_immunity)
+    usedTopics: [],        // дебати: id тез, які вже захищали в цій грі
+    speechDone: false,     // дебати: чи завершено поточний виступ
+    speeches: [],          // [{ playerId, role, civEmoji, civName, fallacyName, tag, difficulty, outcome, text }] — text лише у віддаленій грі
+    ratings: {},           // voterId -> [playerId, ...]  (від кращого)
+    roundScores: {},
+    gameSpeeches: [],      // усі виступи гри з раундом і балами рейтингу — для підсумків
+    ratingHistory: [],     // [{ round, ratings }]
+    mapHistory: [],        // [{ round, owners: { cellId: playerId }, regions }] — стан карти після кожного раунду
+    log: [],               // [{ at, round, type, ... }] — журнал подій гри для повтору (replay.html)
+    startedAt: null,
+    map: null,
+    phaseMsg: null,        // останнє повідомлення фази — для відновлення сесії
+    phaseSince: null,      // { phase, at } — коли почалась поточна фаза, для метрик тривалості
+    locale: DEFAULT_LOCALE, // мова кімнати: зміст гри, тексти помилок, імена за замовчуванням; не частина налаштувань — пресети її не скидають
+    password: null,        // { salt, hash } — пароль для входу гравців і глядачів; null — без пароля
+    createdAt: null, lastActivity: null, finishedAt: null, // для прибирання кімнат (sweepRooms)
+    timer: null, timerEnd: null, timerSeconds: null,
+    pendingStep: null,     // відкладений перехід (STEPS) — показ результату перед наступною фазою
+    paused: false, pausedRemaining: 0,
+    pauseReason: null,     // 'host' — пауза ведучого; 'host_gone' — екран ведучого зник
+    captures: [],          // [{ playerId, owner, cells: [{ id, from }], cost, spent: { playerId: очки } }] — захоплення поточної фази карти, для «Скасувати»
+    teamChat: {},          // команда -> [{ playerId, playerName, color, at, text, fallacy, fact }] — останні повідомлення чату команди
+    spectators: {},        // spectatorId -> { id, name, token, connId }
+    audienceVotes: { cancel: {}, rating: {} }, // spectatorId -> 'cancel' | 'ok' / playerId
+  };
+}
+
+function hashPassword(password, salt) {
+  return crypto.createHash('sha256').update(`${salt}:${password}`).digest('hex');
+}
+
+// Секрет ведучого чи співведучого — за сталий час, як і пароль; дайджести вирівнюють довжину
+function sameSecret(given, secret) {
+  if (typeof given !== 'string' || typeof secret !== 'string') return false;
+  const digest = s => crypto.createHash('sha256').update(s).digest();
+  return crypto.timingSafeEqual(digest(given), digest(secret));
+}
+
+// crypto.randomInt, а не Math.random: наступний код не вгадати за попередніми
+function randomRoomCode() {
+  return Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)]).join('');
+}
+
+// Ім'я з клієнта: без керівних символів і не довше 20 знаків; '' — якщо нічого не лишилось
+function cleanName(raw) {
+  return String(raw || '').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 20);
+}
+
+const COLORS = ['#e63946','#2a9d8f','#e9c46a','#f4a261','#457b9d','#06d6a0','#a8dadc','#ff6b6b'];
+// Кольори команд на карті й табло — окремі від кольорів гравців
+const TEAM_COLORS = ['#d62828','#1d70b8','#2b9348','#f0a202'];
+
+function pubPlayers(room) {
+  return Object.values(room.players).map(p => {
+    const team = teamOf(room, p.id);
+    return {
+      id: p.id, name: p.name, color: p.color, score: p.score,
+      civId: p.civId || null, civName: p.civName || null, civEmoji: p.civEmoji || null,
+      connected: p.connected, bot: p.bot || null,
+      team, teamColor: team ? TEAM_COLORS[team - 1] : null,
+    };
+  });
+}
+
+// ─── TEAMS ────────────────────────────────────────────────────────────────────
+// З teams.count > 0 гравці грають командами 1..count. Команда — одна сторона гри:
+// тіммейтів не атакують і не оцінюють, клітинки карти належать команді ('team:2'),
+// а перемогу рахують за сумою очок її учасників. Без команд кожен гравець — сам
+// собі сторона, і все нижче зводиться до колишніх правил.
+
+function teamOf(room, playerId) {
+  return room.settings.teams.count ? room.players[playerId]?.team || null : null;
+}
+
+// Чи грають двоє на одній стороні (гравець завжди союзник сам собі)
+function allies(room, a, b) {
+  return a === b || (!!teamOf(room, a) && teamOf(room, a) === teamOf(room, b));
+}
+
+// Від чийого імені гравець володіє клітинками карти
+function ownerOf(room, playerId) {
+  const team = teamOf(room, playerId);
+  return team ? `team:${team}` : playerId;
+}
+
+function ownerIds(room) {
+  return [...new Set(Object.keys(room.players).map(pid => ownerOf(room, pid)))];
+}
+
+// Сторони гри: { owner, team, ids, score } — команди або окремі гравці
+function sides(room) {
+  const byOwner = {};
+  Object.values(room.players).forEach(p => {
+    const owner = ownerOf(room, p.id);
+    const side = byOwner[owner] = byOwner[owner] || { owner, team: teamOf(room, p.id), ids: [], score: 0 };
+    side.ids.push(p.id);
+    side.score += p.score || 0;
+  });
+  return Object.values(byOwner);
+}
+
+// Новачок — у найменшу команду, за рівності — з меншим номером
+function assignTeam(room, p) {
+  const { count } = room.settings.teams;
+  if (!count) { p.team = null; return; }
+  const size = team => Object.values(room.players).filter(q => q !== p && q.team === team).length;
+  p.team = Array.from({ length: count }, (_, i) => i + 1).reduce((best, team) => (size(team) < size(best) ? team : best));
+}
+
+// Інша кількість команд — розподіляємо всіх наново в порядку входу
+function balanceTeams(room) {
+  const { count } = room.settings.teams;
+  Object.values(room.players).forEach((p, i) => { p.team = count ? i % count + 1 : null; });
+}
+
+function pubTeams(room) {
+  if (!room.settings.teams.count) return null;
+  const share = territoryShare(room);
+  return sides(room)
+    .map(s => ({ team: s.team, owner: s.owner, color: TEAM_COLORS[s.team - 1], score: s.score, members: s.ids,
+      territory: Math.round((share[s.owner] || 0) * 100) }))
+    .sort((a, b) => b.score - a.score || b.territory - a.territory);
+}
+
+function spectatorCount(room) {
+  return Object.values(room.spectators).filter(s => s.connId).length;
+}
+
+// Голоси глядачів у голосуванні поточної фази: spectatorId -> голос
+function currentAudienceVotes(room) {
+  if (room.phase === PHASES.CANCEL_VOTE) return room.audienceVotes.cancel;
+  if (room.phase === PHASES.RATING) return room.audienceVotes.rating;
+  return {};
+}
+
+// Лише кількість голосів, без розкладу, щоб не підказувати гравцям
+function audienceProgress(room) {
+  return { type: 'audience_update', votes: Object.keys(currentAudienceVotes(room)).length, spectators: spectatorCount(room) };
+}
+
+// Скільки місць роздає кожен гравець у рейтингу — від того, скільки суперників
+// може оцінити той, у кого їх найменше (своїх і тіммейтів не оцінюють)
+function ratingTopCount(room) {
+  const ids = Object.keys(room.players);
+  const rivals = Math.min(...ids.map(pid => ids.filter(id => !allies(room, pid, id)).length));
+  return Math.min(rivals >= 5 ? 3 : rivals >= 3 ? 2 : 1, room.settings.scoring.ratingPoints.length);
+}
+
+function getDeckDifficulty(room) {
+  const ramp = room.settings.difficultyRamp;
+  return ramp[Math.min(room.round, ramp.length) - 1] || ramp[0];
+}
+
+// Чи відбиває картка захисту картку атаки: у її counters є тег або id атакуючої
+function isCounter(defense, attack) {
+  return !!defense && !!attack && (defense.counters || []).some(c => c === attack.id || c === attack.tag);
+}
+
+// Хто вгадує софізм у вікторині: усі, крім атакуючого і його команди — вона картку знає
+function quizGuessers(room) {
+  return Object.keys(room.players).filter(pid => !allies(room, pid, room.currentAttack?.attackerId));
+}
+
+function quizDone(room, playerId) {
+  return !room.quiz || allies(room, playerId, room.currentAttack?.attackerId) || room.quiz.guesses[playerId] !== undefined;
+}
+
+// Хто голосує за cancel: усі, крім захисника і його команди
+function cancelVoters(room) {
+  return Object.keys(room.players).filter(pid => !allies(room, pid, room.currentAttack?.defenderId));
+}
+
+// Чи гравець уже зробив свій хід у поточній фазі
+function hasActed(room, playerId) {
+  if (room.phase === PHASES.TOPIC_SELECT) return !!room.theses[playerId];
+  if (room.phase === PHASES.CANCEL_VOTE) {
+    return (!!room.cancelVotes[playerId] || allies(room, playerId, room.currentAttack?.defenderId)) && quizDone(room, playerId);
+  }
+  if (room.phase === PHASES.QUIZ) return quizDone(room, playerId);
+  if (room.phase === PHASES.RATING) return !!room.ratings[playerId];
+  return false;
+}
+
+// Частка клітинок карти (0–1) кожного власника — гравця або команди
+function territoryShare(room) {
+  const share = {};
+  ownerIds(room).forEach(owner => { share[owner] = 0; });
+  if (!room.map) return share;
+  const total = room.map.cells.length;
+  room.map.cells.forEach(c => {
+    if (c.owner && c.owner in share) share[c.owner] += 1 / total;
+  });
+  return share;
+}
+
+// Що клієнтам треба знати про карту, крім клітинок: відрізані області і ціни захоплення
+function mapInfo(room) {
+  const terrain = {};
+  Object.entries(TERRAIN).forEach(([type, { cost }]) => { terrain[type] = { name: t(room.locale, `terrain.${type}`), cost }; });
+  return {
+    territory: territoryStats(room.map, ownerIds(room)),
+    captureRules: { terrain, enemyCost: room.settings.map.enemyCost },
+  };
+}
+
+// { reason, winnerId, winnerTeam } якщо спрацювала будь-яка з умов перемоги, інакше null.
+// Перемагає сторона; у командній грі winnerId — найкращий гравець команди-переможця
+function checkVictory(room) {
+  const { maxRounds, dominationPct, scoreTarget } = room.settings.victory;
+  const all = sides(room);
+  const leader = [...all].sort((a, b) => b.score - a.score)[0];
+  const won = (reason, side) => ({
+    reason,
+    winnerId: side ? [...side.ids].sort((a, b) => room.players[b].score - room.players[a].score)[0] : null,
+    winnerTeam: side?.team || null,
+  });
+
+  if (dominationPct > 0) {
+    const share = territoryShare(room);
+    const dominant = all.find(s => share[s.owner] * 100 >= dominationPct);
+    if (dominant) return won('domination', dominant);
+  }
+  if (scoreTarget > 0 && leader && leader.score >= scoreTarget) return won('score', leader);
+  if (maxRounds > 0 && room.round >= maxRounds) return won('rounds', leader);
+  return null;
+}
+
+function gameSummary(room) {
+  const share = territoryShare(room);
+  const standings = pubPlayers(room)
+    .map(p => ({ ...p, territory: Math.round((share[ownerOf(room, p.id)] || 0) * 100) }))
+    .sort((a, b) => b.score - a.score || b.territory - a.territory);
+
+  // Бали рейтингу ставлять гравцю за раунд, тож беремо по одному виступу з пари гравець+раунд
+  const seen = new Set(), bestSpeeches = [];
+  [...room.gameSpeeches].sort((a, b) => b.ratingPoints - a.ratingPoints).forEach(sp => {
+    const key = sp.playerId + ':' + sp.round;
+    if (sp.ratingPoints <= 0 || seen.has(key) || bestSpeeches.length >= 3) return;
+    seen.add(key); bestSpeeches.push(sp);
+  });
+
+  const uses = {};
+  room.gameSpeeches.forEach(sp => {
+    if (!sp.fallacyName) return;
+    uses[sp.fallacyId] = uses[sp.fallacyId] || { id: sp.fallacyId, name: sp.fallacyName, count: 0 };
+    uses[sp.fallacyId].count++;
+  });
+  const topFallacies = Object.values(uses).sort((a, b) => b.count - a.count).slice(0, 5);
+
+  return { standings, teams: pubTeams(room), bestSpeeches, topFallacies };
+}
+
+// ─── ROOM ENGINE ──────────────────────────────────────────────────────────────
+
+// content — один набір змісту (зручно для тестів); library — бібліотека наборів;
+// logger — куди писати службові рядки (симуляції передають тихий)
+// maxRooms — скільки кімнат можна створити одночасно
+function createEngine({ content, library = createLibrary(content && { base: content }), clock = systemClock, rng = Math.random, logger = console, maxRooms = MAX_ROOMS } = {}) {
+  const engine = new EventEmitter();
+  const rooms = {};
+  const conns = {}; // connId -> { roomCode, role: 'host' | 'player', playerId }
+  const bots = {};  // connId бота -> createBot(...)
+  const heldBotActions = {}; // код кімнати -> [[connId, дія]] — ходи ботів, що припали на паузу
+
+  // Під час гри — зміст, з яким її почали; у лобі — актуальна версія обраного набору.
+  // Тексти — мовою кімнати (переклади з полів i18n, див. ./content)
+  function contentOf(room) {
+    return localizeContent(room.content || library.get(room.packId) || library.get('standard'), room.locale);
+  }
+
+  function cardById(room, id) {
+    return contentOf(room).fallacies.find(f => f.id === id) || null;
+  }
+
+  // Чи вистачає карток у кожному рівні складності на руку такого розміру
+  function deckShortfall(settings, content) {
+    return settings.difficultyRamp.find(d => content.fallacies.filter(f => f.id !== 0 && f.difficulty <= d).length < settings.handSize);
+  }
+
+  function confrontationFacts(room, civA, civB) {
+    return getConfrontationFacts(contentOf(room), civA, civB);
+  }
+
+  // Тези, що проходять фільтр кімнати за категоріями і складністю
+  function topicPool(settings, content) {
+    const { categories, maxDifficulty } = settings.topics;
+    return content.topics.filter(t => t.difficulty <= maxDifficulty && (!categories.length || categories.includes(t.category)));
+  }
+
+  // Помилка, якщо фільтр тем не має сенсу для цього змісту, інакше null
+  function topicsProblem(settings, content) {
+    const known = new Set(content.topics.map(t => t.category));
+    const unknown = settings.topics.categories.find(c => !known.has(c));
+    if (unknown) return { field: 'topics.categories', code: 'unknown_category', category: unknown };
+    if (settings.mode === 'debate' && !topicPool(settings, content).length) return { field: 'topics', code: 'no_topics' };
+    return null;
+  }
+
+  // Чого бракує змісту для таких налаштувань — список помилок, як у validateSettings
+  function contentProblems(settings, content) {
+    const errors = [];
+    const short = deckShortfall(settings, content);
+    if (short) errors.push({ field: 'handSize', code: 'deck_short', difficulty: short, handSize: settings.handSize });
+    const topicsError = topicsProblem(settings, content);
+    if (topicsError) errors.push(topicsError);
+    return errors;
+  }
+
+  // Помилки налаштувань клієнт перекладає сам (settings_error.<code>);
+  // msg — текст мовою кімнати, як у sendError
+  const settingsErrors = (room, errors) => errors.map(e => ({ ...e, msg: t(room?.locale, `settings_error.${e.code}`, e) }));
+
+  // Кожному гравцю — свої тези на вибір. Спершу ті, що ще не звучали в цій грі
+  // і не складніші за колоду раунду; між гравцями не повторюються, доки вистачає пулу.
+  function dealTopics(room) {
+    const diff = getDeckDifficulty(room);
+    const rank = t => (room.usedTopics.includes(t.id) ? 2 : 0) + (t.difficulty > diff ? 1 : 0);
+    const pool = shuffle(topicPool(room.settings, contentOf(room)), rng).sort((a, b) => rank(a) - rank(b));
+    const count = Math.min(room.settings.topics.choices, pool.length);
+    room.topicOffers = {};
+    Object.keys(room.players).forEach((pid, i) => {
+      room.topicOffers[pid] = Array.from({ length: count }, (_, k) => pool[(i * count + k) % pool.length]);
+    });
+  }
+
+  function broadcast(room, msg) {
+    if (room.closed) return;
+    sendHosts(room, msg);
+    Object.values(room.players).forEach(p => sendTo(p.connId, msg));
+    // Глядачі отримують лише спільні повідомлення — приватні йдуть через sendTo
+    Object.values(room.spectators).forEach(s => {
+      if (s.connId) engine.emit('send', s.connId, msg);
+    });
+  }
+
+  // Усім екранам ведучого: співведучі бачать і можуть те саме, що й він
+  function sendHosts(room, msg) {
+    (room.host?.connIds || []).forEach(connId => engine.emit('send', connId, msg));
+  }
+
+  function sendTo(connId, msg) {
+    if (!connId) return;
+    if (bots[connId]) botReceive(connId, msg);
+    else engine.emit('send', connId, msg);
+  }
+
+  // Помилка з кодом, щоб клієнт міг відрізнити її від інших; extra — напр. { field },
+  // { reason } для варіанта тексту чи підстановки ({ max }). Клієнт перекладає код сам,
+  // msg — той самий текст мовою кімнати для тих, хто каталогу не має
+  function sendError(connId, code, extra) {
+    const conn = conns[connId];
+    const room = rooms[conn?.roomCode];
+    logger.warn(`[Error] ${code}`, { room: room?.code, phase: room?.phase, role: conn?.role, playerId: conn?.playerId, code });
+    engine.emit('client_error', room || null, code);
+    sendTo(connId, { type: 'error', code, ...extra, msg: errorText(room?.locale, code, extra) });
+  }
+
+  // Запам'ятовуємо повідомлення фази, щоб повторити його гравцю після reconnect.
+  // Фаза може повторитися (черговий виступ у дебатах) — тоді тривалість не рахуємо.
+  function broadcastPhase(room, msg) {
+    const now = clock.now(), since = room.phaseSince;
+    const prev = since && since.phase !== room.phase ? { phase: since.phase, ms: now - since.at } : null;
+    if (!since || prev) room.phaseSince = { phase: room.phase, at: now };
+    room.phaseMsg = msg;
+    logEvent(room, 'phase', { phase: room.phase });
+    logger.log(`[Phase] ${room.code}: ${room.phase}`, {
+      room: room.code, phase: room.phase, from: prev?.phase, round: room.round, players: Object.keys(room.players),
+    });
+    engine.emit('phase', room, prev);
+    broadcast(room, msg);
+    engine.emit('changed', room);
+  }
+
+  // Журнал лише доповнюється; записи не змінюються після додавання
+  function logEvent(room, type, data) {
+    if (room.log.length > MAX_LOG_EVENTS) return;
+    room.log.push(room.log.length === MAX_LOG_EVENTS
+      ? { at: clock.now(), round: room.round, type: 'truncated' }
+      : { at: clock.now(), round: room.round, type, ...data });
+  }
+
+  // Таймер завжди веде до onPhaseTimeout поточної фази — тож його можна
+  // заморозити, відновити після паузи або перезапустити зі збереженого знімка
+  function armTimer(room, ms) {
+    clock.clearTimeout(room.timer);
+    if (room.closed) return;
+    if (room.paused) {
+      // На паузі таймер не йде — стартує з цим залишком після resumeTimer
+      room.timer = null;
+      room.timerEnd = null;
+      room.pausedRemaining = ms;
+      return;
+    }
+    room.timerEnd = clock.now() + ms;
+    room.timer = clock.setTimeout(() => timerExpired(room), ms);
+  }
+
+  // Сплив таймер з відліком (startTimer) — фазу завершує рушій, а не гравці;
+  // службові паузи без відліку (заставка раунду, показ відповіді) не рахуємо
+  function timerExpired(room) {
+    if (room.pendingStep) { runStep(room); return; }
+    if (room.timerSeconds) {
+      logger.log(`[Timer] ${room.code}: ${room.phase} — час вийшов`, { room: room.code, phase: room.phase, round: room.round });
+      engine.emit('timeout', room, room.phase);
+    }
+    onPhaseTimeout(room);
+  }
+
+  // Відкладені переходи йдуть тим самим таймером кімнати, що й фази: пауза їх
+  // заморожує, а знімок зберігає назву кроку й відновлює після рестарту
+  const STEPS = {
+    advance_attack: room => advanceAttack(room),
+    attack_prep:    room => gotoAttackPrep(room),
+    quiz:           room => gotoQuiz(room),
+    cancel_vote:    room => gotoCancelVote(room),
+    speech:         room => gotoSpeech(room),
+    map:            room => gotoMap(room),
+  };
+
+  function schedule(room, step, ms) {
+    stopTimer(room);
+    room.pendingStep = step;
+    armTimer(room, ms);
+  }
+
+  function runStep(room) {
+    const step = room.pendingStep;
+    stopTimer(room);
+    STEPS[step](room);
+  }
+
+  function startTimer(room, seconds) {
+    room.pendingStep = null;
+    room.timerSeconds = seconds;
+    armTimer(room, seconds * 1000);
+    if (room.timerEnd) broadcast(room, { type: 'timer', timerEnd: room.timerEnd, seconds });
+  }
+
+  // У віддаленій грі на набір аргументу — ще remote.extraTime секунд
+  function typingTime(room, key) {
+    const { timers, remote } = room.settings;
+    return timers[key] + (remote.enabled ? remote.extraTime : 0);
+  }
+
+  // Фаза без таймера: знімок не повинен перезапускати старий
+  function stopTimer(room) {
+    clock.clearTimeout(room.timer);
+    room.timer = null;
+    room.timerEnd = null;
+    room.timerSeconds = null;
+    room.pausedRemaining = 0;
+    room.pendingStep = null;
+  }
+
+  // Заморожує таймер фази, зберігаючи залишок часу
+  function pauseTimer(room, reason) {
+    if (room.paused) return;
+    room.paused = true;
+    room.pauseReason = reason;
+    room.pausedRemaining = room.timerEnd ? Math.max(0, room.timerEnd - clock.now()) : 0;
+    clock.clearTimeout(room.timer);
+    room.timer = null;
+    room.timerEnd = null;
+    logEvent(room, 'pause', { paused: true, reason });
+    broadcast(room, { type: 'paused', paused: true, reason, remaining: room.pausedRemaining });
+  }
+
+  function resumeTimer(room) {
+    if (!room.paused) return;
+    room.paused = false;
+    room.pauseReason = null;
+    logEvent(room, 'pause', { paused: false });
+    broadcast(room, { type: 'paused', paused: false });
+    releaseBots(room);
+    if (!room.pausedRemaining) return;
+    armTimer(room, room.pausedRemaining);
+    if (room.timerSeconds) broadcast(room, { type: 'timer', timerEnd: room.timerEnd, seconds: room.timerSeconds });
+  }
+
+  // ─── TIMEOUTS ──────────────────────────────────────────────────────────────
+  // Що відбувається, коли спливає таймер фази або ведучий натискає «Пропустити»
+
+  function onPhaseTimeout(room) {
+    switch (room.phase) {
+      case PHASES.CIV_SELECT:   autoChooseCivs(room); gotoRoundStart(room); break;
+      case PHASES.ROUND_START:  if (room.settings.mode === 'debate') gotoTopicSelect(room); else gotoAttackPrep(room); break;
+      case PHASES.ATTACK_PREP:  autoChooseAttack(room); gotoDefense(room); break;
+      case PHASES.DEFENSE:      if (!room.defenseChoice) autoSilence(room); break;
+      case PHASES.CANCEL_VOTE:  tallyCancel(room); break;
+      case PHASES.QUIZ:         finishQuiz(room); break;
+      case PHASES.TOPIC_SELECT: autoChooseTopics(room); gotoCards(room); break;
+      case PHASES.CARDS:        gotoSpeech(room); break;
+      case PHASES.SPEECH:       if (!room.speechDone) finishSpeech(room, null); break;
+      case PHASES.RATING:       tallyRatings(room); break;
+      case PHASES.MAP:          gotoRoundEnd(room); break;
+      case PHASES.ROUND_END:    gotoRoundStart(room); break;
+    }
+  }
+
+  // Автовибір для тих хто не встиг; зі спільною цивілізацією — та, що вже є в команді
+  function autoChooseCivs(room) {
+    const taken = new Set(Object.values(room.players).filter(p => p.civId).map(p => p.civId));
+    let ai = 0;
+    const { civilizations } = contentOf(room);
+    const available = civilizations.filter(c => !taken.has(c.id));
+    Object.values(room.players).forEach(p => {
+      if (!p.civId) {
+        const mate = room.settings.teams.sharedCiv && Object.values(room.players).find(q => q.civId && allies(room, q.id, p.id));
+        // Цивілізацій у наборі може бути менше, ніж гравців — тоді повторюються
+        const civ = mate ? civilizations.find(c => c.id === mate.civId)
+          : available.length ? available[ai++ % available.length] : civilizations[ai++ % civilizations.length];
+        p.civId = civ.id; p.civName = civ.name; p.civEmoji = civ.emoji;
+        logEvent(room, 'civ', { playerId: p.id, civId: civ.id, civName: civ.name, auto: true });
+      }
+    });
+  }
+
+  // Автовибір першої доступної цілі якщо атакуючий не встиг
+  function autoChooseAttack(room) {
+    const atk = room.currentAttack;
+    if (atk.defenderId) return;
+    const t = Object.values(room.players).find(pl => !allies(room, pl.id, atk.attackerId));
+    if (!t) return;
+    const facts = confrontationFacts(room, room.players[atk.attackerId]?.civId, t.civId);
+    atk.defenderId = t.id;
+    atk.factId = facts[0]?.id || null;
+    atk.fallacyId = atk.attackerCards[0]?.id || null;
+  }
+
+  // Хто не встиг обрати тезу, захищає першу із запропонованих
+  function autoChooseTopics(room) {
+    Object.keys(room.players).forEach(pid => {
+      if (room.theses[pid] || !room.topicOffers[pid]?.length) return;
+      room.theses[pid] = room.topicOffers[pid][0];
+      logEvent(room, 'topic', { playerId: pid, topicId: room.theses[pid].id, text: room.theses[pid].text, auto: true });
+    });
+  }
+
+  function autoSilence(room) {
+    const { defenderId } = room.currentAttack;
+    room.defenseChoice = 'silence';
+    room.roundScores[defenderId] = (room.roundScores[defenderId] || 0) + room.settings.scoring.silence;
+    settleExchange(room, 'silenced');
+    const stake = settleStake(room, 'silenced');
+    logEvent(room, 'defense', { playerId: defenderId, choice: 'silence', auto: true, stake });
+    broadcast(room, { type: 'defense_result', choice: 'silence', defenderId, stake });
+    afterSilence(room);
+  }
+
+  // ─── HANDS ─────────────────────────────────────────────────────────────────
+  // Рука живе весь раунд: зіграна чи скинута картка йде у відбій гравця, а на її
+  // місце він добирає з власної колоди; скінчилась колода — тасується відбій.
+  // Колоду збирають наново щораунду — її складність задає difficultyRamp.
+
+  function handOf(room, playerId) {
+    if (!room.hands[playerId]) {
+      const diff = getDeckDifficulty(room);
+      const draw = shuffle(contentOf(room).fallacies.filter(f => f.id !== 0 && f.difficulty <= diff), rng).map(f => f.id);
+      room.decks[playerId] = { draw, discard: [], discarded: 0 };
+      room.hands[playerId] = drawCards(room, playerId, room.settings.handSize + ability(room, playerId, 'extra_card'));
+    }
+    return room.hands[playerId];
+  }
+
+  function drawCards(room, playerId, count) {
+    const deck = room.decks[playerId];
+    const cards = [];
+    while (cards.length < count) {
+      if (!deck.draw.length) deck.draw = shuffle(deck.discard.splice(0), rng);
+      if (!deck.draw.length) break;
+      const card = cardById(room, deck.draw.shift());
+      if (card) cards.push(card);
+    }
+    return cards;
+  }
+
+  // Картки з руки — у відбій, на їхнє місце — нові з колоди
+  function replaceCards(room, playerId, ids) {
+    room.decks[playerId].discard.push(...ids);
+    const kept = room.hands[playerId].filter(c => !ids.includes(c.id));
+    room.hands[playerId] = [...kept, ...drawCards(room, playerId, ids.length)];
+  }
+
+  function discardsLeft(room, playerId) {
+    return Math.max(0, room.settings.discards + ability(room, playerId, 'extra_discard') - (room.decks[playerId]?.discarded || 0));
+  }
+
+  // Скидати можна, поки рука на екрані й картку ще не зіграно: атакуючому до
+  // вибору атаки, захиснику до рішення, у дебатах — на фазі карток і до кінця свого виступу
+  function holdsHand(room, playerId) {
+    const atk = room.currentAttack;
+    switch (room.phase) {
+      case PHASES.ATTACK_PREP: return atk?.attackerId === playerId && !atk.defenderId;
+      case PHASES.DEFENSE:     return atk?.defenderId === playerId && !room.defenseChoice;
+      case PHASES.CARDS:       return true;
+      case PHASES.SPEECH:      return room.attackOrder[room.currentAttackerIdx] === playerId && !room.speechDone;
+    }
+    return false;
+  }
+
+  function discardCards(room, connId, playerId, ids) {
+    if (!holdsHand(room, playerId) || !room.hands[playerId]) { sendError(connId, 'cannot_discard'); return; }
+    if (new Set(ids).size !== ids.length || !ids.every(id => inHand(room.hands[playerId], id))) {
+      sendError(connId, 'card_not_in_hand', { field: 'fallacyIds' }); return;
+    }
+    const left = discardsLeft(room, playerId);
+    if (ids.length > left) { sendError(connId, 'no_discards', { field: 'fallacyIds', left }); return; }
+    room.decks[playerId].discarded += ids.length;
+    replaceCards(room, playerId, ids);
+    // Знімки руки поточного обміну — за ними рушій перевіряє хід і відновлює екран
+    if (room.phase === PHASES.ATTACK_PREP) room.currentAttack.attackerCards = room.hands[playerId];
+    if (room.phase === PHASES.DEFENSE) room.currentAttack.defenderCards = room.hands[playerId];
+    logEvent(room, 'discard', { playerId, fallacyIds: ids });
+    sendTo(connId, {
+      type: 'hand_update', cards: room.hands[playerId], discards: discardsLeft(room, playerId),
+      counterIds: room.phase === PHASES.DEFENSE ? counterIds(room, room.hands[playerId]) : [],
+    });
+  }
+
+  // ─── CIVILIZATIONS ─────────────────────────────────────────────────────────
+  // Вміння цивілізацій (поле ability) і ставки за тяжкістю фактів (розділ severity)
+  // задає зміст, а вмикає ведучий — settings.civs.
+
+  // value вміння type цивілізації гравця; 0 — немає такого вміння або вміння вимкнені
+  function ability(room, playerId, type) {
+    const civId = room.players[playerId]?.civId;
+    if (!civId || !room.settings.civs.abilities) return 0;
+    const a = contentOf(room).civilizations.find(c => c.id === civId)?.ability;
+    return a?.type === type ? a.value : 0;
+  }
+
+  function civChoices(room) {
+    const { civilizations } = contentOf(room);
+    return room.settings.civs.abilities ? civilizations : civilizations.map(({ ability, ...c }) => c);
+  }
+
+  // Імунітет витрачається сам, на перше ж скасування
+  function useImmunity(room, playerId) {
+    const used = room.abilityUses[playerId] || 0;
+    if (used >= ability(room, playerId, 'cancel_immunity')) return false;
+    room.abilityUses[playerId] = used + 1;
+    logEvent(room, 'ability', { playerId, ability: 'cancel_immunity', value: 1 });
+    return true;
+  }
+
+  // Очки захоплення понад бали раунду. Від'ємні бали раунду бонус не з'їдають
+  function grantCaptureBonus(room) {
+    Object.keys(room.players).forEach(pid => {
+      const bonus = ability(room, pid, 'capture_bonus');
+      if (!bonus) return;
+      room.roundScores[pid] = Math.max(0, room.roundScores[pid] || 0) + bonus;
+      logEvent(room, 'ability', { playerId: pid, ability: 'capture_bonus', value: bonus });
+    });
+  }
+
+  // Ставка факту: landed — атакуючому, якщо захисник змовчав або захист скасовано,
+  // repelled — з атакуючого, якщо захист прийнято
+  function factStake(room, fact) {
+    const stake = fact && room.settings.civs.severity ? contentOf(room).severity?.[fact.severity] : null;
+    return { landed: stake?.landed || 0, repelled: stake?.repelled || 0 };
+  }
+
+  // Нараховує ставку атакуючому за підсумком обміну і повертає зміну його балів
+  function settleStake(room, outcome) {
+    const { attackerId, fact } = room.currentAttack;
+    const { landed, repelled } = factStake(room, fact);
+    const delta = outcome === 'defended' ? -repelled : landed;
+    if (delta) room.roundScores[attackerId] = (room.roundScores[attackerId] || 0) + delta;
+    return delta;
+  }
+
+  // ─── PRIVATE PAYLOADS ──────────────────────────────────────────────────────
+  // Будуються зі стану кімнати, тож їх можна повторно надіслати після reconnect
+
+  function attackTurnMsg(room) {
+    const { attackerId, attackerCards } = room.currentAttack;
+    const attacker = room.players[attackerId];
+    const targets = Object.values(room.players)
+      .filter(p => !allies(room, p.id, attackerId))
+      .map(p => ({ id: p.id, name: p.name, color: p.color, civId: p.civId, civName: p.civName, civEmoji: p.civEmoji }));
+
+    // Для кожної цілі — факти конфронтації з атакуючим
+    const factsPreview = targets.reduce((acc, t) => {
+      if (!attacker?.civId || !t.civId) {
+        acc[t.id] = [];
+      } else {
+        acc[t.id] = confrontationFacts(room, attacker.civId, t.civId)
+          .map(f => ({ id: f.id, title: f.title, type: f.type, severity: f.severity, stake: factStake(room, f) }));
+      }
+      return acc;
+    }, {});
+
+    return { type: 'your_attack_turn', cards: attackerCards, targets, factsPreview, textLimit: textLimit(room), discards: discardsLeft(room, attackerId) };
+  }
+
+  // Скільки символів можна надрукувати в аргументі; 0 — аргумент кажуть уголос
+  function textLimit(room) {
+    return room.settings.remote.enabled ? room.settings.remote.maxChars : 0;
+  }
+
+  // Картку атаки захисник бачить, як і всі, лише поза вікториною — тоді ж
+  // підказуємо, які з його карток її відбивають
+  function counterIds(room, cards) {
+    const attack = !room.quiz && room.settings.counters.enabled ? cardById(room, room.currentAttack.fallacyId) : null;
+    return attack ? cards.filter(c => isCounter(c, attack)).map(c => c.id) : [];
+  }
+
+  function defenseTurnMsg(room) {
+    const { defenderId, defenderCards, fact, text } = room.currentAttack;
+    return {
+      type: 'your_defense_turn',
+      cards: defenderCards,
+      counterIds: counterIds(room, defenderCards),
+      discards: discardsLeft(room, defenderId),
+      argument: text || null,
+      textLimit: textLimit(room),
+      fact: fact ? {
+        id: fact.id, title: fact.title, body: fact.body,
+        defender_angle: fact.defender_angle,
+        attacker_angle: fact.attacker_angle,
+      } : null,
+    };
+  }
+
+  function topicsMsg(room, playerId) {
+    return { type: 'your_topics', topics: room.topicOffers[playerId] || [] };
+  }
+
+  function handMsg(room, playerId) {
+    return { type: 'your_hand', cards: room.hands[playerId] || [], topic: room.theses[playerId] || null, textLimit: textLimit(room), discards: discardsLeft(room, playerId) };
+  }
+
+  // owner — від чийого імені гравець захоплює: він сам або його команда
+  function mapTurnMsg(room, playerId) {
+    return {
+      type: 'map_turn',
+      capturePoints: capturePoints(room, playerId),
+      owner: ownerOf(room, playerId),
+      map: room.map, players: pubPlayers(room), ...mapInfo(room),
+    };
+  }
+
+  // Що саме цей гравець мав би бачити на телефоні у поточній фазі
+  function privateState(room, playerId) {
+    const atk = room.currentAttack;
+    if (room.phase === PHASES.ATTACK_PREP && atk?.attackerId === playerId && !atk.defenderId) return attackTurnMsg(room);
+    if (room.phase === PHASES.DEFENSE && atk?.defenderId === playerId && !room.defenseChoice) return defenseTurnMsg(room);
+    if (room.phase === PHASES.TOPIC_SELECT && !room.theses[playerId]) return topicsMsg(room, playerId);
+    if (room.phase === PHASES.CARDS) return handMsg(room, playerId);
+    if (room.phase === PHASES.SPEECH && room.attackOrder[room.currentAttackerIdx] === playerId && !room.speechDone) return handMsg(room, playerId);
+    if (room.phase === PHASES.MAP) return mapTurnMsg(room, playerId);
+    return null;
+  }
+
+  // ─── PHASES ────────────────────────────────────────────────────────────────
+
+  // Кампанія починається з вибору цивілізацій, дебати — одразу з першого раунду
+  function gotoGameStart(room) {
+    room.content = library.get(room.packId);
+    if (!room.content) { room.packId = 'standard'; room.content = library.get('standard'); }
+    if (room.settings.mode !== 'debate') { gotoCivSelect(room); return; }
+    room.startedAt = room.startedAt || clock.now();
+    gotoRoundStart(room);
+  }
+
+  function gotoCivSelect(room) {
+    room.phase = PHASES.CIV_SELECT;
+    room.startedAt = room.startedAt || clock.now();
+    broadcastPhase(room, {
+      type: 'phase', phase: room.phase,
+      civilizations: civChoices(room),
+      players: pubPlayers(room),
+    });
+    startTimer(room, room.settings.timers.civSelect);
+  }
+
+  function gotoRoundStart(room) {
+    room.phase = PHASES.ROUND_START;
+    room.round++;
+    room.speeches = [];
+    room.ratings = {};
+    room.roundScores = {};
+    room.topicOffers = {};
+    room.theses = {};
+    room.hands = {};
+    room.decks = {};
+    Object.values(room.players).forEach(p => { room.roundScores[p.id] = 0; });
+
+    room.attackOrder = shuffle(Object.keys(room.players), rng);
+    room.currentAttackerIdx = 0;
+
+    broadcastPhase(room, {
+      type: 'round_start', round: room.round,
+      players: pubPlayers(room),
+      attackOrder: room.attackOrder,
+    });
+
+    // Коротка заставка раунду; таймер без відліку на екранах
+    stopTimer(room);
+    armTimer(room, 2500);
+  }
+
+  function gotoAttackPrep(room) {
+    // Пропустити гравців що від'єднались
+    while (room.currentAttackerIdx < room.attackOrder.length &&
+           !room.players[room.attackOrder[room.currentAttackerIdx]]) {
+      room.currentAttackerIdx++;
+    }
+
+    if (room.currentAttackerIdx >= room.attackOrder.length) {
+      gotoRating(room);
+      return;
+    }
+
+    room.phase = PHASES.ATTACK_PREP;
+    const attackerId = room.attackOrder[room.currentAttackerIdx];
+    const attacker = room.players[attackerId];
+
+    room.currentAttack = {
+      attackerId, defenderId: null, factId: null, fallacyId: null, text: null,
+      attackerCards: handOf(room, attackerId), defenderCards: null, fact: null, defenseFallacyId: null, countered: false,
+    };
+    const { targets, factsPreview } = attackTurnMsg(room);
+
+    logger.log(`[Attack] ${attacker.name}(${attacker.civId}) vs targets: ${targets.map(t=>`${t.name}(${t.civId}):${factsPreview[t.id]?.length||0}facts`).join(', ')}`,
+      { room: room.code, round: room.round, playerId: attackerId, targets: targets.map(t => t.id) });
+
+    broadcastPhase(room, {
+      type: 'phase', phase: room.phase,
+      attackerId, attackerName: attacker.name,
+      attackerCivEmoji: attacker.civEmoji, attackerCivName: attacker.civName,
+      players: pubPlayers(room),
+      attackIndex: room.currentAttackerIdx + 1,
+      attackTotal: room.attackOrder.length,
+    });
+
+    // Тільки атакуючому — картки і цілі з попереднім переглядом фактів
+    sendTo(attacker.connId, attackTurnMsg(room));
+
+    startTimer(room, typingTime(room, 'attackPrep'));
+  }
+
+  function gotoDefense(room) {
+    room.phase = PHASES.DEFENSE;
+    room.defenseChoice = null;
+    room.cancelVotes = {};
+    room.quiz = null;
+
+    const { attackerId, defenderId, factId, fallacyId, text } = room.currentAttack;
+    const attacker = room.players[attackerId];
+    const defender = room.players[defenderId];
+
+    if (!attacker || !defender) { advanceAttack(room); return; }
+
+    const allFacts = confrontationFacts(room, attacker.civId, defender.civId);
+    const fact = allFacts.find(f => f.id === factId) || allFacts[0] || null;
+    // FIX: fallacyId може бути string з клієнта — порівнюємо через Number()
+    const usedFallacy = contentOf(room).fallacies.find(f => f.id === Number(fallacyId)) || null;
+
+    // Зіграна картка атаки йде у відбій, захисник відбивається своєю рукою раунду
+    if (usedFallacy && inHand(room.hands[attackerId], usedFallacy.id)) replaceCards(room, attackerId, [usedFallacy.id]);
+    room.currentAttack.defenderCards = handOf(room, defenderId);
+    room.currentAttack.fact = fact;
+    if (usedFallacy && room.settings.quiz.enabled) {
+      room.quiz = { answerId: usedFallacy.id, options: quizOptions(room, usedFallacy), guesses: {} };
+    }
+    logEvent(room, 'attack', {
+      attackerId, defenderId, factId: fact?.id ?? null, factTitle: fact?.title || null,
+      factType: fact?.type || null, severity: fact?.severity ?? null,
+      fallacyId: usedFallacy?.id ?? null, fallacyName: usedFallacy?.name || null, text: text || null,
+    });
+
+    // FIX: зберігаємо виступ АТАКУЮЧОГО в speeches
+    room.speeches.push({
+      playerId: attackerId,
+      role: 'attack',
+      civEmoji: attacker.civEmoji || '⚔️',
+      civName: attacker.civName || '',
+      playerName: attacker.name,
+      fallacyName: usedFallacy?.name || null,
+      fallacyId: Number(fallacyId),
+      tag: usedFallacy?.tag || null, difficulty: usedFallacy?.difficulty ?? null,
+      outcome: null,
+      factTitle: fact?.title || null,
+      targetName: defender.name,
+      targetCivEmoji: defender.civEmoji || '',
+      text: text || null,
+    });
+
+    broadcastPhase(room, {
+      type: 'phase', phase: room.phase,
+      attackerId, attackerName: attacker.name,
+      attackerCivEmoji: attacker.civEmoji, attackerCivName: attacker.civName,
+      defenderId, defenderName: defender.name,
+      defenderCivEmoji: defender.civEmoji, defenderCivName: defender.civName,
+      fact: fact ? {
+        id: fact.id, title: fact.title, body: fact.body, attacker_angle: fact.attacker_angle,
+        type: fact.type, severity: fact.severity, stake: factStake(room, fact),
+      } : null,
+      // У вікторині картку атаки відкриваємо лише після відповідей
+      usedFallacy: usedFallacy && !room.quiz ? { id: usedFallacy.id, name: usedFallacy.name, desc: usedFallacy.desc } : null,
+      quiz: !!room.quiz,
+      argument: text || null,
+      players: pubPlayers(room),
+    });
+
+    // Тільки захиснику — його картки і підказка захисту
+    sendTo(defender.connId, defenseTurnMsg(room));
+
+    startTimer(room, typingTime(room, 'defense'));
+  }
+
+  function gotoCancelVote(room) {
+    room.phase = PHASES.CANCEL_VOTE;
+    room.audienceVotes.cancel = {};
+    const { defenderId } = room.currentAttack;
+    const defender = room.players[defenderId];
+
+    broadcastPhase(room, {
+      type: 'phase', phase: room.phase,
+      defenderId,
+      defenderName: defender?.name || '?',
+      defenderCivEmoji: defender?.civEmoji || '🛡️',
+      defenderCivName: defender?.civName || '',
+      quiz: room.quiz && { options: room.quiz.options, attackerId: room.currentAttack.attackerId },
+      // Яку саме картку відбито, видно лише в підсумку голосування
+      counter: room.currentAttack.countered ? { threshold: room.settings.counters.threshold } : null,
+      arguments: exchangeArguments(room),
+    });
+
+    startTimer(room, room.settings.timers.cancelVote);
+  }
+
+  // Надруковані аргументи обміну для голосування. Картки — лише з remote.showCards,
+  // і картку атаки у вікторині не показуємо до розкриття
+  function exchangeArguments(room) {
+    const { enabled, showCards } = room.settings.remote;
+    if (!enabled) return null;
+    const { attackerId, defenderId } = room.currentAttack;
+    return [['attack', attackerId], ['defense', defenderId]].map(([role, playerId]) => {
+      const sp = [...room.speeches].reverse().find(x => x.role === role && x.playerId === playerId);
+      return sp && {
+        role, playerId, playerName: sp.playerName, civEmoji: sp.civEmoji, text: sp.text,
+        fallacyName: showCards && !(role === 'attack' && room.quiz) ? sp.fallacyName : null,
+      };
+    }).filter(Boolean);
+  }
+
+  // Контрзахист скасовують лише counters.threshold відсотками голосів, звичайний — більшістю;
+  // контрзахист, що встояв, дає ще й counters.bonus. Скасування не діє, поки
+  // в захисника є імунітет цивілізації
+  function tallyCancel(room) {
+    const { defenderId, countered } = room.currentAttack;
+    const cancelCount = Object.values(room.cancelVotes).filter(v => v === 'cancel').length;
+    const totalVoters = cancelVoters(room).length;
+    const voted = countered
+      ? cancelCount > 0 && cancelCount * 100 >= totalVoters * room.settings.counters.threshold
+      : cancelCount > totalVoters / 2;
+    const immune = voted && useImmunity(room, defenderId);
+    const cancelled = voted && !immune;
+
+    const { scoring } = room.settings;
+    const counterBonus = countered && !cancelled ? room.settings.counters.bonus : 0;
+
+    if (cancelled) {
+      room.roundScores[defenderId] = (room.roundScores[defenderId] || 0) + scoring.cancelled;
+    } else {
+      room.roundScores[defenderId] = (room.roundScores[defenderId] || 0) + scoring.defended + counterBonus;
+      // Атакуючий теж отримує бал за успішну атаку
+      room.roundScores[room.currentAttack.attackerId] = (room.roundScores[room.currentAttack.attackerId] || 0) + scoring.attackSuccess;
+    }
+
+    // Вердикт глядачів рахується окремо; захист, який вони прийняли, дає бонус
+    const audienceVotes = Object.values(room.audienceVotes.cancel);
+    const audience = { cancel: audienceVotes.filter(v => v === 'cancel').length, ok: audienceVotes.filter(v => v === 'ok').length, bonus: 0 };
+    if (audience.ok > audience.cancel) audience.bonus = room.settings.audience.weight;
+    room.roundScores[defenderId] = (room.roundScores[defenderId] || 0) + audience.bonus;
+    settleExchange(room, cancelled ? 'cancelled' : 'defended');
+    const stake = settleStake(room, cancelled ? 'cancelled' : 'defended');
+    logEvent(room, 'cancel_result', { attackerId: room.currentAttack.attackerId, defenderId, cancelled, cancelCount, totalVoters, audience, countered, counterBonus, immune, stake });
+
+    // Розкриття вікторини йде перед вердиктом — екрани показують обидва
+    if (room.quiz) revealQuiz(room);
+    broadcast(room, {
+      type: 'cancel_result', cancelled, defenderId, cancelCount, totalVoters,
+      delta: cancelled ? scoring.cancelled : scoring.defended + counterBonus,
+      audience, matchup: matchup(room), counterBonus, immune, stake,
+    });
+    schedule(room, 'advance_attack', room.quiz ? QUIZ_REVEAL_MS : 3000);
+  }
+
+  // Голосування cancel завершене, коли проголосували всі, крім команди захисника,
+  // а у вікторині ще й відповіли всі, крім команди атакуючого
+  function cancelVoteComplete(room) {
+    if (cancelVoters(room).some(pid => !room.cancelVotes[pid])) return false;
+    return Object.keys(room.players).every(pid => quizDone(room, pid));
+  }
+
+  // Картки обміну для екранів: чим атакували, чим відбивались і чи це контркартка
+  function matchup(room) {
+    const { fallacyId, defenseFallacyId, countered } = room.currentAttack;
+    const pub = f => f && { id: f.id, name: f.name, tag: f.tag };
+    return { attack: pub(cardById(room, fallacyId)), defense: pub(cardById(room, defenseFallacyId)), countered: !!countered };
+  }
+
+  function advanceAttack(room) {
+    room.currentAttackerIdx++;
+    schedule(room, 'attack_prep', 2000);
+  }
+
+  // Без виступу голосувати нема про що — у вікторині лишається вгадати картку
+  function afterSilence(room) {
+    if (room.quiz) schedule(room, 'quiz', 1500);
+    else schedule(room, 'advance_attack', 2000);
+  }
+
+  // ─── QUIZ ──────────────────────────────────────────────────────────────────
+  // Вікторина: картку атаки не показують, слухачі вгадують її серед варіантів —
+  // під час голосування cancel або в окремій фазі, якщо захисник промовчав.
+  // Розкриття показує опис і приклад картки; правильна відповідь дає бали раунду.
+
+  // Правильна картка і випадкові відволікаючі з того самого набору, перемішані
+  function quizOptions(room, answer) {
+    const { options } = room.settings.quiz;
+    const pool = contentOf(room).fallacies.filter(f => f.id !== answer.id && f.id !== 0);
+    const picked = options ? [answer, ...shuffle(pool, rng).slice(0, options - 1)] : [answer, ...pool];
+    const list = picked.map(f => ({ id: f.id, name: f.name, short: f.short || '' }));
+    return options ? shuffle(list, rng) : list.sort((a, b) => a.name.localeCompare(b.name, room.locale));
+  }
+
+  function gotoQuiz(room) {
+    room.phase = PHASES.QUIZ;
+    const { attackerId, defenderId } = room.currentAttack;
+    broadcastPhase(room, {
+      type: 'phase', phase: room.phase,
+      attackerId, defenderId,
+      quiz: { options: room.quiz.options, attackerId },
+      players: pubPlayers(room),
+    });
+    startTimer(room, room.settings.timers.quiz);
+  }
+
+  // Пауза розкриття — ще фаза вікторини: «Пропустити» ведучого не рахує відповіді вдруге
+  function finishQuiz(room) {
+    if (room.quiz.revealed) return;
+    revealQuiz(room);
+    schedule(room, 'advance_attack', QUIZ_REVEAL_MS);
+  }
+
+  function revealQuiz(room) {
+    const { answerId, guesses } = room.quiz;
+    room.quiz.revealed = true;
+    const fallacy = contentOf(room).fallacies.find(f => f.id === answerId);
+    const { points } = room.settings.quiz;
+    const correct = Object.keys(guesses).filter(pid => guesses[pid] === answerId && room.players[pid]);
+    correct.forEach(pid => { room.roundScores[pid] = (room.roundScores[pid] || 0) + points; });
+    logEvent(room, 'quiz', { answerId, fallacyName: fallacy.name, guesses: { ...guesses }, correct });
+    broadcast(room, {
+      type: 'quiz_result',
+      fallacy: { id: fallacy.id, name: fallacy.name, desc: fallacy.desc, example: fallacy.example || null, tag: fallacy.tag, difficulty: fallacy.difficulty },
+      guesses, correct, points,
+    });
+  }
+
+  // Чим закінчився обмін: 'silenced' | 'cancelled' | 'defended' — на виступах атаки
+  // і захисту, щоб статистика бачила, чи розпізнали софізм (server/stats.js)
+  function settleExchange(room, outcome) {
+    const last = role => [...room.speeches].reverse().find(sp => sp.role === role);
+    const attack = last('attack');
+    if (attack) attack.outcome = outcome;
+    const defense = outcome !== 'silenced' && last('defense');
+    if (defense) defense.outcome = outcome;
+  }
+
+  // ─── DEBATE ────────────────────────────────────────────────────────────────
+  // Раунд дебатів: теза → картки → виступи по черзі; далі спільні рейтинг і карта.
+  // Черга виступів — та сама room.attackOrder, що й черга атак у кампанії.
+
+  function gotoTopicSelect(room) {
+    room.phase = PHASES.TOPIC_SELECT;
+    dealTopics(room);
+
+    broadcastPhase(room, {
+      type: 'phase', phase: room.phase,
+      players: pubPlayers(room),
+      total: Object.keys(room.players).length,
+    });
+
+    // Тези на вибір бачить лише сам гравець
+    Object.values(room.players).forEach(p => sendTo(p.connId, topicsMsg(room, p.id)));
+
+    startTimer(room, room.settings.timers.topicSelect);
+  }
+
+  function gotoCards(room) {
+    room.phase = PHASES.CARDS;
+    Object.keys(room.players).forEach(pid => {
+      handOf(room, pid);
+      const topic = room.theses[pid];
+      if (topic && !room.usedTopics.includes(topic.id)) room.usedTopics.push(topic.id);
+    });
+
+    broadcastPhase(room, {
+      type: 'phase', phase: room.phase,
+      theses: room.attackOrder.filter(pid => room.players[pid] && room.theses[pid]).map(pid => ({
+        playerId: pid, playerName: room.players[pid].name, ...room.theses[pid],
+      })),
+      players: pubPlayers(room),
+    });
+
+    Object.values(room.players).forEach(p => sendTo(p.connId, handMsg(room, p.id)));
+
+    startTimer(room, room.settings.timers.cards);
+  }
+
+  function gotoSpeech(room) {
+    // Пропустити гравців що від'єднались
+    while (room.currentAttackerIdx < room.attackOrder.length &&
+           !room.players[room.attackOrder[room.currentAttackerIdx]]) {
+      room.currentAttackerIdx++;
+    }
+
+    if (room.currentAttackerIdx >= room.attackOrder.length) {
+      gotoRating(room);
+      return;
+    }
+
+    room.phase = PHASES.SPEECH;
+    room.speechDone = false;
+    const speakerId = room.attackOrder[room.currentAttackerIdx];
+    const speaker = room.players[speakerId];
+
+    broadcastPhase(room, {
+      type: 'phase', phase: room.phase,
+      speakerId, speakerName: speaker.name,
+      topic: room.theses[speakerId] || null,
+      players: pubPlayers(room),
+      speechIndex: room.currentAttackerIdx + 1,
+      speechTotal: room.attackOrder.length,
+    });
+
+    // Спікеру — його картки, щоб позначити, який софізм він використав
+    sendTo(speaker.connId, handMsg(room, speakerId));
+
+    startTimer(room, typingTime(room, 'speech'));
+  }
+
+  // Виступ завершено: спікер натиснув «Готово» або сплив час (тоді без картки й тексту)
+  function finishSpeech(room, fallacyId, text = null) {
+    room.speechDone = true;
+    const speakerId = room.attackOrder[room.currentAttackerIdx];
+    const speaker = room.players[speakerId];
+    const fallacy = contentOf(room).fallacies.find(f => f.id === fallacyId) || null;
+
+    if (speaker) {
+      room.speeches.push({
+        playerId: speakerId,
+        role: 'thesis',
+        civEmoji: speaker.civEmoji || '🎤',
+        civName: speaker.civName || '',
+        playerName: speaker.name,
+        fallacyName: fallacy?.name || null,
+        fallacyId: fallacy ? fallacy.id : null,
+        tag: fallacy?.tag || null, difficulty: fallacy?.difficulty ?? null,
+        topicText: room.theses[speakerId]?.text || null,
+        text,
+      });
+      logEvent(room, 'speech', {
+        playerId: speakerId, topicText: room.theses[speakerId]?.text || null,
+        fallacyId: fallacy ? fallacy.id : null, fallacyName: fallacy?.name || null, text,
+      });
+    }
+
+    broadcast(room, {
+      type: 'speech_result', speakerId,
+      fallacy: fallacy ? { id: fallacy.id, name: fallacy.name, desc: fallacy.desc } : null,
+      text,
+    });
+    room.currentAttackerIdx++;
+    schedule(room, 'speech', 2000);
+  }
+
+  // ─── SHARED PHASES ─────────────────────────────────────────────────────────
+
+  function gotoRating(room) {
+    room.phase = PHASES.RATING;
+    room.audienceVotes.rating = {};
+    const topCount = ratingTopCount(room);
+
+    broadcastPhase(room, {
+      type: 'phase', phase: room.phase,
+      speeches: room.speeches,
+      topCount,
+      players: pubPlayers(room),
+    });
+
+    startTimer(room, room.settings.timers.rating);
+  }
+
+  function tallyRatings(room) {
+    const pts = room.settings.scoring.ratingPoints;
+    const topCount = ratingTopCount(room);
+
+    const received = {};
+    Object.values(room.ratings).forEach(ranked => {
+      ranked.slice(0, topCount).forEach((pid, i) => {
+        room.roundScores[pid] = (room.roundScores[pid] || 0) + (pts[i] ?? 0);
+        received[pid] = (received[pid] || 0) + (pts[i] ?? 0);
+      });
+    });
+    room.speeches.forEach(sp => {
+      room.gameSpeeches.push({ ...sp, round: room.round, ratingPoints: received[sp.playerId] || 0 });
+    });
+    room.ratingHistory.push({ round: room.round, ratings: room.ratings });
+
+    // Улюбленець глядачів — лише якщо в нього строго найбільше голосів
+    const audienceVotes = {};
+    Object.values(room.audienceVotes.rating).forEach(pid => { audienceVotes[pid] = (audienceVotes[pid] || 0) + 1; });
+    const [top, second] = Object.entries(audienceVotes).sort((a, b) => b[1] - a[1]);
+    const favouriteId = top && (!second || top[1] > second[1]) ? top[0] : null;
+    const audienceBonus = favouriteId ? room.settings.audience.weight : 0;
+    if (favouriteId) room.roundScores[favouriteId] = (room.roundScores[favouriteId] || 0) + audienceBonus;
+    logEvent(room, 'rating_result', { roundScores: { ...room.roundScores }, audience: { votes: audienceVotes, favouriteId, bonus: audienceBonus } });
+
+    Object.values(room.players).forEach(p => {
+      p.score = (p.score || 0) + (room.roundScores[p.id] || 0);
+    });
+
+    broadcast(room, {
+      type: 'rating_result', roundScores: room.roundScores, players: pubPlayers(room),
+      audience: { votes: audienceVotes, favouriteId, bonus: audienceBonus },
+    });
+    schedule(room, 'map', 3000);
+  }
+
+  function gotoMap(room) {
+    room.phase = PHASES.MAP;
+    room.captures = [];
+    if (!room.map) {
+      // Команда стартує одним кластером зі столицею цивілізації першого учасника.
+      // Диск і кластер рахуються за гравцями, а не командами: інакше шестеро у двох
+      // командах грають на карті для двох і домінування настає в першому ж раунді
+      const civs = contentOf(room).civilizations;
+      const capitals = {}, members = {};
+      Object.values(room.players).forEach(p => {
+        const owner = ownerOf(room, p.id);
+        capitals[owner] = capitals[owner] || civs.find(c => c.id === p.civId)?.capital || t(room.locale, 'map.capital');
+        members[owner] = (members[owner] || 0) + 1;
+      });
+      room.map = initMap(ownerIds(room), { rng, capitals, members, terrain: room.settings.map.terrain });
+      logEvent(room, 'map_init', { grid: room.map.grid, radius: room.map.radius, cells: room.map.cells.map(c => ({ ...c })) });
+    }
+    grantCaptureBonus(room);
+
+    broadcastPhase(room, {
+      type: 'phase', phase: room.phase,
+      map: room.map, roundScores: room.roundScores,
+      players: pubPlayers(room), ...mapInfo(room),
+    });
+
+    Object.values(room.players).forEach(p => sendTo(p.connId, mapTurnMsg(room, p.id)));
+
+    startTimer(room, room.settings.timers.map);
+  }
+
+  // Очки захоплення гравця; у команді — спільний запас: додатні бали раунду всіх учасників
+  function capturePoints(room, playerId) {
+    return Object.keys(room.players).filter(pid => allies(room, pid, playerId))
+      .reduce((sum, pid) => sum + Math.max(0, room.roundScores[pid] || 0), 0);
+  }
+
+  // Спільні очки списуємо спершу з того, хто захоплює, далі з тіммейтів.
+  // { playerId: очки } — щоб «Скасувати» повернув кожному його частку
+  function spendCapturePoints(room, playerId, cost) {
+    const spent = {};
+    const payers = Object.keys(room.players).filter(pid => allies(room, pid, playerId))
+      .sort((a, b) => (b === playerId) - (a === playerId));
+    payers.forEach(pid => {
+      const share = Math.min(cost, Math.max(0, room.roundScores[pid] || 0));
+      if (!share) return;
+      room.roundScores[pid] -= share;
+      spent[pid] = share;
+      cost -= share;
+    });
+    return spent;
+  }
+
+  // Клітинки беремо по черзі, поки вистачає очок; взята клітинка вже рахується
+  // сусідньою для наступних. Відрізані області — на момент ходу, як їх бачив гравець.
+  function applyCapture(room, playerId, cellIds) {
+    const pts = capturePoints(room, playerId);
+    const owner = ownerOf(room, playerId);
+    const rules = {
+      enemyCost: room.settings.map.enemyCost,
+      cutOff: new Set(Object.values(territoryStats(room.map, ownerIds(room))).flatMap(st => st.cutOff)),
+    };
+    let used = 0;
+    const taken = [];
+    cellIds.forEach(cid => {
+      const cell = room.map.cells.find(c => c.id === cid);
+      const cost = captureCost(room.map, cell, owner, rules);
+      if (cost === null || used + cost > pts) return;
+      taken.push({ id: cid, from: cell.owner || null });
+      cell.owner = owner;
+      used += cost;
+    });
+    const spent = spendCapturePoints(room, playerId, used);
+    if (taken.length) {
+      room.captures.push({ playerId, owner, cells: taken, cost: used, spent });
+      logEvent(room, 'capture', { playerId, owner, cells: taken, cost: used });
+    }
+    broadcast(room, { type: 'map_update', map: room.map, ...mapInfo(room) });
+    // Запас команди змінився — новий залишок бачать усі її учасники
+    Object.values(room.players).filter(p => allies(room, p.id, playerId)).forEach(p => sendTo(p.connId, mapTurnMsg(room, p.id)));
+  }
+
+  // Бонус за найбільшу зв'язну область іде в рахунок до перевірки перемоги.
+  // Бонус команди ділимо між учасниками по одному балу, починаючи з першого
+  function scoreRegions(room) {
+    const per = room.settings.map.regionCells;
+    const regions = {};
+    Object.entries(territoryStats(room.map, ownerIds(room))).forEach(([owner, st]) => {
+      const bonus = per > 0 ? Math.floor(st.largest / per) : 0;
+      const members = Object.values(room.players).filter(p => ownerOf(room, p.id) === owner);
+      members.forEach((p, i) => {
+        p.score = (p.score || 0) + Math.floor(bonus / members.length) + (i < bonus % members.length ? 1 : 0);
+      });
+      regions[owner] = { largest: st.largest, cutOff: st.cutOff.length, bonus };
+    });
+    return regions;
+  }
+
+  function gotoRoundEnd(room) {
+    let regions = null;
+    if (room.map) {
+      const owners = {};
+      room.map.cells.forEach(c => { if (c.owner) owners[c.id] = c.owner; });
+      regions = scoreRegions(room);
+      room.mapHistory.push({ round: room.round, owners, regions });
+    }
+    const scores = {};
+    Object.values(room.players).forEach(p => { scores[p.id] = p.score; });
+    logEvent(room, 'scores', { scores, regions });
+    const victory = checkVictory(room);
+    if (victory) { gotoGameOver(room, victory); return; }
+
+    room.phase = PHASES.ROUND_END;
+    stopTimer(room);
+    broadcastPhase(room, {
+      type: 'phase', phase: room.phase,
+      players: pubPlayers(room), map: room.map, regions,
+    });
+  }
+
+  // ─── VICTORY ───────────────────────────────────────────────────────────────
+
+  function gotoGameOver(room, victory) {
+    stopTimer(room);
+    room.phase = PHASES.GAME_OVER;
+    room.finishedAt = clock.now();
+    // id запису потрібен ведучому заздалегідь — для посилання на повтор гри
+    const gameId = `${room.code}-${clock.now().toString(36)}`;
+    broadcastPhase(room, {
+      type: 'phase', phase: room.phase,
+      reason: victory.reason, winnerId: victory.winnerId, winnerTeam: victory.winnerTeam, round: room.round,
+      players: pubPlayers(room), map: room.map, gameId,
+      ...gameSummary(room),
+    });
+    engine.emit('game_over', gameRecord(room, victory, gameId));
+  }
+
+  // Нова гра в тій самій кімнаті з тими самими гравцями
+  function startRematch(room) {
+    stopTimer(room);
+    Object.values(room.players).forEach(p => {
+      p.score = 0; p.civId = null; p.civName = null; p.civEmoji = null;
+    });
+    Object.assign(room, {
+      round: 0, attackOrder: [], currentAttackerIdx: 0, currentAttack: null,
+      defenseChoice: null, cancelVotes: {}, quiz: null, speeches: [], ratings: {}, roundScores: {},
+      gameSpeeches: [], ratingHistory: [], mapHistory: [], log: [], startedAt: null, map: null,
+      audienceVotes: { cancel: {}, rating: {} },
+      topicOffers: {}, theses: {}, hands: {}, decks: {}, abilityUses: {}, usedTopics: [], speechDone: false,
+      paused: false, pauseReason: null, pausedRemaining: 0, captures: [], finishedAt: null, teamChat: {},
+    });
+    gotoGameStart(room);
+  }
+
+  // ─── ANTI-CHEAT ────────────────────────────────────────────────────────────
+  // Клієнт може надіслати що завгодно — ходи звіряємо з тим, що роздав сервер
+
+  function inHand(cards, fallacyId) {
+    return (cards || []).some(c => c.id === Number(fallacyId));
+  }
+
+  // [code, extra] якщо атака не відповідає руці атакуючого й фактам пари, інакше null
+  function checkAttack(room, msg) {
+    const { attackerId, attackerCards } = room.currentAttack;
+    const defender = room.players[msg.defenderId];
+    if (!defender || allies(room, defender.id, attackerId)) return ['bad_target', { field: 'defenderId' }];
+    if (!inHand(attackerCards, msg.fallacyId)) return ['card_not_in_hand', { field: 'fallacyId' }];
+    const facts = confrontationFacts(room, room.players[attackerId]?.civId, defender.civId);
+    const factOk = facts.length ? facts.some(f => f.id === msg.factId) : msg.factId == null;
+    if (!factOk) return ['bad_fact', { field: 'factId' }];
+    return null;
+  }
+
+  // Аргумент віддаленої гри — очищений, з маскованою лайкою; поза нею text: null.
+  // Порожній чи задовгий текст — { rejection: [code, extra] }
+  function readArgument(room, raw) {
+    const { enabled, maxChars } = room.settings.remote;
+    if (!enabled) return { text: null };
+    const text = sanitizeText(raw);
+    if (!text) return { rejection: ['text_required', { field: 'text' }] };
+    if (text.length > maxChars) return { rejection: ['text_too_long', { field: 'text', max: maxChars }] };
+    return { text: maskProfanity(text) };
+  }
+
+  // ─── ACTIONS ───────────────────────────────────────────────────────────────
+
+  function handle(connId, msg, roomCode) {
+    const invalid = validateMessage(msg);
+    if (invalid) { const { code, ...extra } = invalid; sendError(connId, code, extra); return; }
+    const { type } = msg;
+
+    if (type === 'create_room') {
+      if (Object.keys(rooms).length >= maxRooms) { sendError(connId, 'server_full'); return; }
+      const code = roomCode && !rooms[roomCode] ? roomCode : newRoomCode();
+      const room = rooms[code] = createRoom(code);
+      room.host = { connIds: [connId], goneTimers: [] };
+      room.hostSecret = crypto.randomBytes(16).toString('hex');
+      room.cohostSecret = crypto.randomBytes(16).toString('hex');
+      room.createdAt = room.lastActivity = clock.now();
+      room.locale = pickLocale(msg.locale);
+      if (msg.password) setPassword(room, msg.password);
+      conns[connId] = { roomCode: code, role: 'host' };
+      sendTo(connId, {
+        type: 'room_created', code, hostSecret: room.hostSecret, cohostSecret: room.cohostSecret,
+        settings: room.settings, preset: room.preset, presets: listPresets(room.locale),
+        pack: room.packId, packs: library.list(code), hasPassword: !!room.password,
+        locale: room.locale, locales: LOCALES,
+      });
+      engine.emit('room_opened', code);
+      return;
+    }
+
+    if (type === 'reclaim_room') {
+      const room = rooms[msg.code];
+      if (!room || !sameSecret(msg.hostSecret, room.hostSecret)) {
+        sendTo(connId, { type: 'reclaim_failed' }); return;
+      }
+      reclaimHost(room, connId);
+      return;
+    }
+
+    if (type === 'join_cohost') {
+      const room = rooms[msg.code];
+      if (!room || !sameSecret(msg.cohostSecret, room.cohostSecret)) {
+        sendTo(connId, { type: 'reclaim_failed' }); return;
+      }
+      reclaimHost(room, connId, { cohost: true });
+      return;
+    }
+
+    if (type === 'join_room') {
+      const room = rooms[msg.code];
+      if (!room) { sendError(connId, 'room_not_found'); return; }
+      if (!checkPassword(room, connId, msg.password)) return;
+      if (room.phase !== PHASES.LOBBY) { sendError(connId, 'game_started'); return; }
+      if (Object.keys(room.players).length >= room.settings.maxPlayers) {
+        sendError(connId, 'room_full', { max: room.settings.maxPlayers }); return;
+      }
+      let id;
+      do { id = randomId(rng, 6); } while (room.players[id]);
+      const color = COLORS[Object.keys(room.players).length % COLORS.length];
+      const name = cleanName(msg.name) || t(room.locale, 'name.player');
+      const token = crypto.randomBytes(16).toString('hex');
+      room.players[id] = { id, name, color, score: 0, connId, token, connected: true, dropTimer: null, civId: null, civName: null, civEmoji: null, team: null };
+      assignTeam(room, room.players[id]);
+      conns[connId] = { roomCode: msg.code, role: 'player', playerId: id };
+      room.lastActivity = clock.now();
+      sendTo(connId, { type: 'joined', playerId: id, color, name, code: msg.code, token, settings: room.settings, locale: room.locale });
+      broadcast(room, { type: 'player_joined', players: pubPlayers(room) });
+      engine.emit('changed', room);
+      return;
+    }
+
+    if (type === 'resume') {
+      const room = rooms[msg.code];
+      const p = room && typeof msg.token === 'string'
+        ? Object.values(room.players).find(pl => pl.token === msg.token)
+        : null;
+      if (!p) { sendTo(connId, { type: 'resume_failed' }); return; }
+      room.lastActivity = clock.now();
+      resumePlayer(room, p, connId);
+      return;
+    }
+
+    if (type === 'join_spectator') {
+      const room = rooms[msg.code];
+      if (!room) { sendError(connId, 'room_not_found'); return; }
+      room.lastActivity = clock.now();
+      joinSpectator(room, connId, msg);
+      return;
+    }
+
+    const conn = conns[connId];
+    const room = conn ? rooms[conn.roomCode] : null;
+    if (!room) return;
+    room.lastActivity = clock.now();
+
+    // HOST ACTIONS
+    if (conn.role === 'host') {
+      if (!room.host.connIds.includes(connId)) return; // екран витіснив новіший
+      if (type === 'start_game') {
+        if (Object.keys(room.players).length < 2) { sendError(connId, 'not_enough_players'); return; }
+        if (room.settings.teams.count && sides(room).length < 2) { sendError(connId, 'not_enough_teams'); return; }
+        gotoGameStart(room);
+      }
+      if (type === 'update_settings') {
+        updateSettings(room, connId, msg);
+      }
+      if (type === 'choose_pack') {
+        choosePack(room, connId, msg.packId);
+      }
+      if (type === 'add_bot') {
+        addBot(room, connId, msg.strategy ?? undefined);
+      }
+      if (type === 'remove_bot') {
+        removeBot(room, connId, msg.playerId);
+      }
+      if (type === 'set_team') setTeam(room, connId, msg.playerId, msg.team);
+      if (type === 'rematch' && room.phase === PHASES.GAME_OVER) {
+        startRematch(room);
+      }
+      if (type === 'next_phase' && inGame(room)) {
+        // На паузі «Далі» не діє: таймери стоять, і хід зрушив би лише з одного екрана
+        if (room.paused) { sendError(connId, 'game_paused', { reason: 'host' }); return; }
+        // Під час показу результату «Далі» одразу веде до наступного кроку
+        if (room.pendingStep) runStep(room);
+        else { clock.clearTimeout(room.timer); onPhaseTimeout(room); }
+      }
+      if (type === 'set_password') {
+        setPassword(room, msg.password);
+        sendHosts(room, { type: 'password_set', hasPassword: !!room.password });
+        engine.emit('changed', room);
+      }
+      if (type === 'revoke_cohost') revokeCohost(room, connId);
+      if (type === 'set_locale') setLocale(room, connId, msg.locale);
+      if (type === 'kick_player') kickPlayer(room, connId, msg.playerId);
+      if (type === 'rename_player') renamePlayer(room, connId, msg.playerId, msg.name);
+      if (type === 'pause_game' || type === 'resume_game') {
+        if (!inGame(room)) { sendError(connId, 'not_in_game'); return; }
+        if (type === 'pause_game') pauseTimer(room, 'host'); else resumeTimer(room);
+        engine.emit('changed', room);
+      }
+      if (type === 'skip_attacker') skipAttacker(room, connId, msg.playerId);
+      if (type === 'undo_capture') undoCapture(room, connId);
+      return;
+    }
+
+    // SPECTATOR ACTIONS
+    if (conn.role === 'spectator') {
+      if (room.spectators[conn.spectatorId]?.connId !== connId) return;
+      if (room.paused) { sendError(connId, 'game_paused'); return; }
+      if (type === 'audience_vote') audienceVote(room, connId, conn.spectatorId, msg);
+      return;
+    }
+
+    // PLAYER ACTIONS
+    if (conn.role !== 'player') return;
+    const pid = conn.playerId;
+    if (room.players[pid]?.connId !== connId) return; // сесію вже перехопило нове з'єднання
+    // На паузі гра стоїть: ходів не приймаємо, лише чат команди
+    if (room.paused && type !== 'team_chat') { sendError(connId, 'game_paused'); return; }
+    // Фазу вже підсумовано, екрани показують результат — запізнілий хід нічого не змінює
+    if (room.pendingStep && type !== 'team_chat') return;
+
+    if (type === 'choose_civ' && room.phase === PHASES.CIV_SELECT) {
+      const civ = contentOf(room).civilizations.find(c => c.id === msg.civId);
+      if (!civ) { sendError(connId, 'unknown_civ', { field: 'civId' }); return; }
+      // Зі спільною цивілізацією обирають за всю команду: будь-хто з неї може змінити вибір
+      const shared = room.settings.teams.sharedCiv;
+      const team = Object.values(room.players).filter(p => (shared ? allies(room, p.id, pid) : p.id === pid));
+      if (Object.values(room.players).some(p => !team.includes(p) && p.civId === msg.civId)) {
+        sendError(connId, 'civ_taken'); return;
+      }
+      team.forEach(p => {
+        p.civId = civ.id; p.civName = civ.name; p.civEmoji = civ.emoji;
+        if (p.id !== pid) sendTo(p.connId, { type: 'civ_chosen', civ, by: pid });
+      });
+      logEvent(room, 'civ', { playerId: pid, civId: civ.id, civName: civ.name, ...(team.length > 1 ? { team: teamOf(room, pid) } : {}) });
+      sendTo(connId, { type: 'civ_chosen', civ });
+      broadcast(room, { type: 'civ_update', players: pubPlayers(room) });
+      if (Object.values(room.players).every(p => p.civId)) {
+        clock.clearTimeout(room.timer); gotoRoundStart(room);
+      }
+      return;
+    }
+
+    if (type === 'choose_topic' && room.phase === PHASES.TOPIC_SELECT) {
+      if (room.theses[pid]) return;
+      const topic = (room.topicOffers[pid] || []).find(t => t.id === Number(msg.topicId));
+      if (!topic) { sendError(connId, 'bad_topic', { field: 'topicId' }); return; }
+      room.theses[pid] = topic;
+      logEvent(room, 'topic', { playerId: pid, topicId: topic.id, text: topic.text });
+      sendTo(connId, { type: 'topic_chosen', topic });
+      const ids = Object.keys(room.players);
+      broadcast(room, { type: 'topic_update', chosen: ids.filter(id => room.theses[id]).length, total: ids.length });
+      if (ids.every(id => room.theses[id])) {
+        clock.clearTimeout(room.timer); gotoCards(room);
+      }
+      return;
+    }
+
+    if (type === 'speech_done' && room.phase === PHASES.SPEECH) {
+      if (room.attackOrder[room.currentAttackerIdx] !== pid || room.speechDone) return;
+      if (msg.fallacyId != null && !inHand(room.hands[pid], msg.fallacyId)) {
+        sendError(connId, 'card_not_in_hand', { field: 'fallacyId' }); return;
+      }
+      const arg = readArgument(room, msg.text);
+      if (arg.rejection) { sendError(connId, ...arg.rejection); return; }
+      clock.clearTimeout(room.timer);
+      finishSpeech(room, msg.fallacyId != null ? Number(msg.fallacyId) : null, arg.text);
+      return;
+    }
+
+    if (type === 'choose_attack' && room.phase === PHASES.ATTACK_PREP) {
+      const atk = room.currentAttack;
+      if (atk?.attackerId !== pid || atk.defenderId) return;
+      const rejection = checkAttack(room, msg);
+      if (rejection) { sendError(connId, ...rejection); return; }
+      const arg = readArgument(room, msg.text);
+      if (arg.rejection) { sendError(connId, ...arg.rejection); return; }
+      atk.defenderId = msg.defenderId;
+      atk.factId = msg.factId ?? null;
+      // FIX: нормалізуємо до Number
+      atk.fallacyId = Number(msg.fallacyId);
+      atk.text = arg.text;
+      clock.clearTimeout(room.timer);
+      gotoDefense(room);
+      return;
+    }
+
+    if (type === 'defense_choice' && room.phase === PHASES.DEFENSE) {
+      if (room.currentAttack?.defenderId !== pid || room.defenseChoice) return;
+      if (msg.choice === 'speak' && msg.fallacyId != null && !inHand(room.currentAttack.defenderCards, msg.fallacyId)) {
+        sendError(connId, 'card_not_in_hand', { field: 'fallacyId' }); return;
+      }
+      const arg = msg.choice === 'speak' ? readArgument(room, msg.text) : { text: null };
+      if (arg.rejection) { sendError(connId, ...arg.rejection); return; }
+      room.defenseChoice = msg.choice;
+
+      if (msg.choice === 'silence') {
+        clock.clearTimeout(room.timer);
+        room.roundScores[pid] = (room.roundScores[pid] || 0) + room.settings.scoring.silence;
+        settleExchange(room, 'silenced');
+        const stake = settleStake(room, 'silenced');
+        logEvent(room, 'defense', { playerId: pid, choice: 'silence', stake });
+        broadcast(room, { type: 'defense_result', choice: 'silence', defenderId: pid, stake });
+        afterSilence(room);
+      } else {
+        // 'speak' — зберігаємо виступ захисника і переходимо до cancel
+        clock.clearTimeout(room.timer);
+        const defender = room.players[pid];
+        // FIX: нормалізуємо fallacyId до Number
+        const fallacyId = msg.fallacyId != null ? Number(msg.fallacyId) : null;
+        const fallacy = contentOf(room).fallacies.find(f => f.id === fallacyId) || null;
+        const atk = room.currentAttack;
+        atk.defenseFallacyId = fallacy ? fallacyId : null;
+        atk.countered = room.settings.counters.enabled && isCounter(fallacy, cardById(room, atk.fallacyId));
+        if (fallacy) replaceCards(room, pid, [fallacyId]);
+        room.speeches.push({
+          playerId: pid,
+          role: 'defense',
+          civEmoji: defender.civEmoji || '🛡️',
+          civName: defender.civName || '',
+          playerName: defender.name,
+          fallacyName: fallacy?.name || null,
+          fallacyId,
+          tag: fallacy?.tag || null, difficulty: fallacy?.difficulty ?? null,
+          outcome: null, countered: atk.countered,
+          text: arg.text,
+        });
+        logEvent(room, 'defense', { playerId: pid, choice: 'speak', fallacyId, fallacyName: fallacy?.name || null, countered: atk.countered, text: arg.text });
+        broadcast(room, { type: 'defense_result', choice: 'speak', defenderId: pid });
+        schedule(room, 'cancel_vote', 1500);
+      }
+      return;
+    }
+
+    if (type === 'cancel_vote' && room.phase === PHASES.CANCEL_VOTE) {
+      if (!cancelVoters(room).includes(pid)) return; // захисник і його команда не голосують
+      if (room.cancelVotes[pid]) return; // вже голосував
+      room.cancelVotes[pid] = msg.vote; // 'cancel' | 'ok'
+      logEvent(room, 'vote', { playerId: pid, vote: msg.vote });
+      broadcast(room, { type: 'cancel_vote_update', votes: Object.keys(room.cancelVotes).length,
+        total: cancelVoters(room).length });
+      if (cancelVoteComplete(room)) {
+        clock.clearTimeout(room.timer); tallyCancel(room);
+      }
+      return;
+    }
+
+    if (type === 'quiz_guess' && (room.phase === PHASES.CANCEL_VOTE || room.phase === PHASES.QUIZ) && room.quiz) {
+      if (room.quiz.revealed || allies(room, pid, room.currentAttack.attackerId) || room.quiz.guesses[pid] !== undefined) return;
+      const option = room.quiz.options.find(o => o.id === Number(msg.fallacyId));
+      if (!option) { sendError(connId, 'bad_guess', { field: 'fallacyId' }); return; }
+      room.quiz.guesses[pid] = option.id;
+      logEvent(room, 'guess', { playerId: pid, fallacyId: option.id, fallacyName: option.name });
+      const guessers = quizGuessers(room);
+      broadcast(room, { type: 'quiz_update', guessed: guessers.filter(id => room.quiz.guesses[id] !== undefined).length, total: guessers.length });
+      const complete = room.phase === PHASES.QUIZ ? guessers.every(id => quizDone(room, id)) : cancelVoteComplete(room);
+      if (complete) {
+        clock.clearTimeout(room.timer);
+        if (room.phase === PHASES.QUIZ) finishQuiz(room); else tallyCancel(room);
+      }
+      return;
+    }
+
+    if (type === 'submit_rating' && room.phase === PHASES.RATING) {
+      if (room.ratings[pid]) return;
+      const ranked = msg.ranked;
+      if (ranked.length > ratingTopCount(room) || new Set(ranked).size !== ranked.length ||
+          ranked.some(id => id === pid || !room.players[id])) {
+        sendError(connId, 'bad_rating', { field: 'ranked' }); return;
+      }
+      if (ranked.some(id => allies(room, id, pid))) {
+        sendError(connId, 'bad_rating', { reason: 'teammate', field: 'ranked' }); return;
+      }
+      room.ratings[pid] = ranked; // [playerId, ...]
+      logEvent(room, 'rating', { playerId: pid, ranked });
+      broadcast(room, { type: 'rating_update', submitted: Object.keys(room.ratings).length,
+        total: Object.keys(room.players).length });
+      if (Object.keys(room.ratings).length >= Object.keys(room.players).length) {
+        clock.clearTimeout(room.timer); tallyRatings(room);
+      }
+      return;
+    }
+
+    if (type === 'capture' && room.phase === PHASES.MAP) {
+      const { cellIds } = msg;
+      if (new Set(cellIds).size !== cellIds.length || cellIds.length > capturePoints(room, pid) ||
+          cellIds.some(cid => !room.map.cells.some(c => c.id === cid))) {
+        sendError(connId, 'bad_capture', { field: 'cellIds' }); return;
+      }
+      applyCapture(room, pid, cellIds);
+      return;
+    }
+
+    if (type === 'discard_cards') { discardCards(room, connId, pid, msg.fallacyIds.map(Number)); return; }
+
+    if (type === 'team_chat') teamChat(room, connId, pid, msg);
+  }
+
+  // З'єднання закрилося: ведучому даємо час повернутись, гравцю — reconnect.
+  // Поки лишається хоч один екран співведучого, гра йде далі
+  function disconnect(connId) {
+    const conn = conns[connId];
+    delete conns[connId];
+    const room = conn ? rooms[conn.roomCode] : null;
+    if (room && conn.role === 'host' && room.host?.connIds.includes(connId)) {
+      room.host.connIds = room.host.connIds.filter(c => c !== connId);
+      if (room.host.connIds.length) { sendHosts(room, hostsMsg(room)); return; }
+      midGameDrop(room, { role: 'host' });
+      hostGone(room);
+      return;
+    }
+    if (room && conn.role === 'spectator') {
+      const sp = room.spectators[conn.spectatorId];
+      if (sp?.connId === connId) {
+        sp.connId = null;
+        broadcast(room, { type: 'spectators', count: spectatorCount(room) });
+      }
+      return;
+    }
+    if (!room || conn.role !== 'player') return;
+    const p = room.players[conn.playerId];
+    if (!p || p.connId !== connId) return; // з'єднання вже замінено новим через resume
+    p.connId = null;
+    p.connected = false;
+    midGameDrop(room, { role: 'player', playerId: p.id });
+    broadcast(room, { type: 'player_left', players: pubPlayers(room) });
+    p.dropTimer = clock.setTimeout(() => dropPlayer(room, p.id), RESUME_GRACE_MS);
+  }
+
+  // Відпав посеред гри (не в лобі й не після фіналу) — для операторів
+  function midGameDrop(room, who) {
+    if (room.phase === PHASES.LOBBY || room.phase === PHASES.GAME_OVER) return;
+    logger.log(`[Conn] ${room.code}: ${who.role} відключився у фазі ${room.phase}`, { room: room.code, phase: room.phase, ...who });
+    engine.emit('disconnected', room, { ...who, phase: room.phase });
+  }
+
+  // ─── SETTINGS ──────────────────────────────────────────────────────────────
+
+  // msg.preset — id пресету; msg.settings — часткові зміни поверх нього (або поточних)
+  function updateSettings(room, connId, msg) {
+    if (room.phase !== PHASES.LOBBY) { sendError(connId, 'settings_locked'); return; }
+    let base = room.settings, preset = room.preset;
+    if (msg.preset !== undefined) {
+      base = presetSettings(msg.preset);
+      if (!base) { sendError(connId, 'unknown_preset', { field: 'preset' }); return; }
+      preset = msg.preset;
+    }
+    const { settings, errors } = validateSettings(msg.settings || {}, base);
+    if (!errors.length) errors.push(...contentProblems(settings, contentOf(room)));
+    if (!errors.length && Object.keys(room.players).length > settings.maxPlayers) {
+      errors.push({ field: 'maxPlayers', code: 'players_joined', count: Object.keys(room.players).length });
+    }
+    if (errors.length) { sendError(connId, 'invalid_settings', { errors: settingsErrors(room, errors) }); return; }
+    const regroup = settings.teams.count !== room.settings.teams.count;
+    room.settings = settings;
+    room.preset = msg.settings && Object.keys(msg.settings).length ? 'custom' : preset;
+    if (regroup) balanceTeams(room);
+    broadcast(room, { type: 'settings', settings: room.settings, preset: room.preset });
+    if (regroup) broadcast(room, { type: 'teams_update', players: pubPlayers(room) });
+    engine.emit('changed', room);
+  }
+
+  // ─── LOCALE ────────────────────────────────────────────────────────────────
+  // Мову обирають у лобі: на старті гри зміст береться мовою кімнати, і телефони
+  // посеред гри не перемикаються. Клієнти перекладають інтерфейс самі (public/i18n/).
+
+  function setLocale(room, connId, locale) {
+    if (room.phase !== PHASES.LOBBY) { sendError(connId, 'settings_locked', { reason: 'locale' }); return; }
+    room.locale = locale;
+    broadcast(room, { type: 'locale', locale });
+    engine.emit('changed', room);
+  }
+
+  // ─── CONTENT PACKS ─────────────────────────────────────────────────────────
+  // Набір обирають у лобі; гра, що вже йде, лишається зі своїм змістом навіть
+  // після перезавантаження наборів.
+
+  function sendPacks(room) {
+    sendHosts(room, { type: 'packs', pack: room.packId, packs: library.list(room.code) });
+  }
+
+  function choosePack(room, connId, packId) {
+    if (room.phase !== PHASES.LOBBY) { sendError(connId, 'settings_locked', { reason: 'pack' }); return; }
+    const info = library.info(packId);
+    if (!info || (info.owner && info.owner !== room.code)) { sendError(connId, 'unknown_pack', { field: 'packId' }); return; }
+    const errors = contentProblems(room.settings, info.content);
+    if (errors.length) { sendError(connId, 'invalid_settings', { reason: 'pack', errors: settingsErrors(room, errors) }); return; }
+    room.packId = packId;
+    sendPacks(room);
+    engine.emit('changed', room);
+  }
+
+  // Помилка uploadPack — ті самі поля, що в sendError, але відповіддю на HTTP-запит
+  const packError = (room, code, extra) => ({ code, ...extra, msg: errorText(room?.locale, code, extra) });
+
+  // Бандл від ведучого (через HTTP — у WebSocket він не влазить).
+  // Повертає { pack, warnings } або { code, msg, errors }.
+  function uploadPack(code, hostSecret, bundle) {
+    const room = rooms[code];
+    if (!room || !sameSecret(hostSecret, room.hostSecret)) return packError(room, 'forbidden');
+    if (room.phase !== PHASES.LOBBY) return packError(room, 'settings_locked', { reason: 'pack' });
+    const id = 'upload-' + room.code.toLowerCase();
+    const prev = library.info(id);
+    const { pack, errors, warnings } = library.add(bundle, room.code, id);
+    if (!pack) return packError(room, 'invalid_pack', { errors, warnings });
+    const problems = contentProblems(room.settings, pack.content);
+    if (problems.length) {
+      if (prev) library.add(prev.source, room.code, id); else library.remove(id);
+      return packError(room, 'invalid_settings', { reason: 'pack', errors: settingsErrors(room, problems), warnings });
+    }
+    room.upload = { id, bundle };
+    room.packId = id;
+    sendPacks(room);
+    engine.emit('changed', room);
+    return { pack: library.list(room.code).find(p => p.id === id), warnings };
+  }
+
+  // Після перезавантаження наборів лобі бачать свіжий список; зниклий набір — назад до стандартного
+  library.on('reloaded', () => {
+    Object.values(rooms).forEach(room => {
+      if (room.phase !== PHASES.LOBBY) return;
+      if (!library.info(room.packId)) { room.packId = 'standard'; engine.emit('changed', room); }
+      sendPacks(room);
+    });
+  });
+
+  // ─── BOTS ──────────────────────────────────────────────────────────────────
+  // Ведучий додає ботів у лобі. Бот — звичайний гравець зі своїм connId; після
+  // рестарту сервера він не відпадає, бо його «телефон» — тут же, у рушії.
+
+  function botConnId(room, playerId) {
+    return `bot:${room.code}:${playerId}`;
+  }
+
+  function attachBot(room, p) {
+    p.connId = botConnId(room, p.id);
+    p.connected = true;
+    bots[p.connId] = createBot(p.id, p.bot, rng);
+    conns[p.connId] = { roomCode: room.code, role: 'player', playerId: p.id };
+  }
+
+  function detachBot(connId) {
+    delete bots[connId];
+    delete conns[connId];
+  }
+
+  // Рішення виконуємо не одразу: бот не втручається посеред розсилки і «думає», як людина.
+  // На паузі бот чекає разом з усіма: хід відкладається до resumeTimer
+  function botReceive(connId, msg) {
+    const actions = [].concat(bots[connId].receive(msg) || []);
+    let delay = 0;
+    actions.forEach(action => {
+      delay += thinkDelay(rng);
+      clock.setTimeout(() => botAct(connId, action), delay);
+    });
+  }
+
+  function botAct(connId, action) {
+    if (!bots[connId]) return;
+    const room = rooms[conns[connId]?.roomCode];
+    if (room?.paused) { (heldBotActions[room.code] = heldBotActions[room.code] || []).push([connId, action]); return; }
+    handle(connId, action);
+  }
+
+  function releaseBots(room) {
+    const held = heldBotActions[room.code] || [];
+    delete heldBotActions[room.code];
+    let delay = 0;
+    held.forEach(([connId, action]) => {
+      delay += thinkDelay(rng);
+      clock.setTimeout(() => botAct(connId, action), delay);
+    });
+  }
+
+  // Фаза і приватні дані ще раз — після рестарту бот продовжує з того ж місця
+  function wakeBot(room, p) {
+    if (room.phaseMsg) sendTo(p.connId, room.phaseMsg);
+    const priv = privateState(room, p.id);
+    if (priv) sendTo(p.connId, priv);
+  }
+
+  function addBot(room, connId, strategy = 'random') {
+    if (room.phase !== PHASES.LOBBY) { sendError(connId, 'game_started', { reason: 'bots' }); return; }
+    if (!STRATEGIES[strategy]) { sendError(connId, 'unknown_strategy', { field: 'strategy' }); return; }
+    if (Object.keys(room.players).length >= room.settings.maxPlayers) {
+      sendError(connId, 'room_full', { max: room.settings.maxPlayers }); return;
+    }
+    let id;
+    do { id = randomId(rng, 6); } while (room.players[id]);
+    const twins = Object.values(room.players).filter(p => p.bot === strategy).length;
+    const name = `🤖 ${t(room.locale, `bot.${strategy}`)}${twins ? ' ' + (twins + 1) : ''}`;
+    const color = COLORS[Object.keys(room.players).length % COLORS.length];
+    const p = room.players[id] = {
+      id, name, color, score: 0, connId: null, token: null, connected: true, dropTimer: null,
+      civId: null, civName: null, civEmoji: null, team: null, bot: strategy,
+    };
+    assignTeam(room, p);
+    attachBot(room, p);
+    broadcast(room, { type: 'player_joined', players: pubPlayers(room) });
+    engine.emit('changed', room);
+  }
+
+  function removeBot(room, connId, playerId) {
+    if (room.phase !== PHASES.LOBBY) { sendError(connId, 'game_started', { reason: 'bots' }); return; }
+    const p = room.players[playerId];
+    if (!p?.bot) { sendError(connId, 'not_a_bot', { field: 'playerId' }); return; }
+    detachBot(p.connId);
+    delete room.players[playerId];
+    broadcast(room, { type: 'player_left', players: pubPlayers(room) });
+    engine.emit('changed', room);
+  }
+
+  // ─── MODERATION ────────────────────────────────────────────────────────────
+  // Інструменти ведучого посеред гри. Кожну дію бачать усі — телефони, глядачі
+  // і великий екран — і кожна потрапляє в журнал гри.
+
+  const inGame = room => room.phase !== PHASES.LOBBY && room.phase !== PHASES.GAME_OVER;
+
+  // Вилучений гравець зникає з кімнати, як після обриву зв'язку; телефон
+  // повертається на екран входу, а його токен більше не відновить сесію
+  function kickPlayer(room, connId, playerId) {
+    const p = room.players[playerId];
+    if (!p) { sendError(connId, 'unknown_player', { field: 'playerId' }); return; }
+    clock.clearTimeout(p.dropTimer);
+    if (p.bot) detachBot(p.connId);
+    else if (p.connId) { sendTo(p.connId, { type: 'kicked' }); delete conns[p.connId]; }
+    const active = turnOf(room) === playerId || (room.phase === PHASES.DEFENSE && room.currentAttack?.defenderId === playerId);
+    removePlayer(room, p, { kicked: true });
+    // Без нього поточний обмін чи виступ не завершиться — одразу до наступного ходу
+    if (active) skipTurn(room);
+    engine.emit('changed', room);
+  }
+
+  // Хто зараз ходить і ще не зробив свого: атакуючий до вибору атаки або спікер до кінця виступу
+  function turnOf(room) {
+    const atk = room.currentAttack;
+    if (room.phase === PHASES.ATTACK_PREP && atk && !atk.defenderId) return atk.attackerId;
+    if (room.phase === PHASES.SPEECH && !room.speechDone) return room.attackOrder[room.currentAttackerIdx];
+    return null;
+  }
+
+  function skipTurn(room) {
+    stopTimer(room);
+    if (room.phase === PHASES.SPEECH) {
+      room.speechDone = true;
+      room.currentAttackerIdx++;
+      schedule(room, 'speech', 2000);
+    } else advanceAttack(room);
+  }
+
+  // Хід поточного гравця завершується одразу; того, хто ще чекає, — прибираємо з черги раунду
+  function skipAttacker(room, connId, playerId) {
+    const idx = room.attackOrder.indexOf(playerId);
+    const current = turnOf(room) === playerId;
+    const busy = room.currentAttack?.attackerId === playerId &&
+      (room.phase === PHASES.DEFENSE || room.phase === PHASES.CANCEL_VOTE || room.phase === PHASES.QUIZ);
+    if (!current && (idx < room.currentAttackerIdx || busy)) {
+      sendError(connId, 'cannot_skip', { field: 'playerId', reason: busy ? 'busy' : 'done' });
+      return;
+    }
+    logEvent(room, 'skip', { playerId });
+    if (current) skipTurn(room);
+    else room.attackOrder.splice(idx, 1);
+    broadcast(room, { type: 'turn_skipped', playerId, attackOrder: room.attackOrder, currentAttackerIdx: room.currentAttackerIdx });
+    engine.emit('changed', room);
+  }
+
+  // Останнє захоплення фази карти: клітинки повертаються попереднім власникам,
+  // очки — гравцю. Скасовувати можна й далі — по одному, від останнього
+  function undoCapture(room, connId) {
+    const last = room.phase === PHASES.MAP && room.captures.pop();
+    if (!last) { sendError(connId, 'nothing_to_undo'); return; }
+    last.cells.forEach(({ id, from }) => { room.map.cells.find(c => c.id === id).owner = from; });
+    // Захоплення зі знімків до командної гри не знають, хто скільки сплатив — усе гравцю
+    Object.entries(last.spent || { [last.playerId]: last.cost }).forEach(([pid, pts]) => {
+      room.roundScores[pid] = (room.roundScores[pid] || 0) + pts;
+    });
+    logEvent(room, 'undo_capture', last);
+    broadcast(room, { type: 'capture_undone', playerId: last.playerId, cells: last.cells.map(c => c.id) });
+    broadcast(room, { type: 'map_update', map: room.map, ...mapInfo(room) });
+    Object.values(room.players).filter(p => allies(room, p.id, last.playerId)).forEach(p => sendTo(p.connId, mapTurnMsg(room, p.id)));
+    engine.emit('changed', room);
+  }
+
+  function renamePlayer(room, connId, playerId, raw) {
+    const p = room.players[playerId];
+    if (!p) { sendError(connId, 'unknown_player', { field: 'playerId' }); return; }
+    const name = cleanName(raw);
+    if (!name) { sendError(connId, 'bad_name', { field: 'name' }); return; }
+    if (room.phase !== PHASES.LOBBY) logEvent(room, 'rename', { playerId, from: p.name, name });
+    p.name = name;
+    broadcast(room, { type: 'player_renamed', playerId, name, players: pubPlayers(room) });
+    engine.emit('changed', room);
+  }
+
+  // ─── TEAM ACTIONS ──────────────────────────────────────────────────────────
+  // Склад команд ведучий правит у лобі. Чат команди — приватний канал її телефонів:
+  // ведучий, глядачі й суперники його не бачать. Картку чи факт у повідомленні сервер
+  // підписує назвою з набору гри, тож підробити назву не вийде.
+
+  const MAX_CHAT_CHARS = 300;
+  const TEAM_CHAT_HISTORY = 30; // скільки останніх повідомлень команди пам'ятаємо для resume
+
+  function setTeam(room, connId, playerId, team) {
+    if (room.phase !== PHASES.LOBBY) { sendError(connId, 'game_started', { reason: 'teams' }); return; }
+    const p = room.players[playerId];
+    if (!p) { sendError(connId, 'unknown_player', { field: 'playerId' }); return; }
+    if (team > room.settings.teams.count) { sendError(connId, 'bad_team', { field: 'team', max: room.settings.teams.count }); return; }
+    p.team = team;
+    broadcast(room, { type: 'teams_update', players: pubPlayers(room) });
+    engine.emit('changed', room);
+  }
+
+  function teamChat(room, connId, playerId, msg) {
+    const team = teamOf(room, playerId);
+    if (!team || !inGame(room)) { sendError(connId, 'no_team_chat'); return; }
+    const content = contentOf(room);
+    const fallacy = msg.fallacyId != null ? content.fallacies.find(f => f.id === Number(msg.fallacyId)) : null;
+    const fact = msg.factId != null ? Object.values(content.confrontations).flat().find(f => f.id === msg.factId) : null;
+    if (msg.fallacyId != null && !fallacy) { sendError(connId, 'unknown_card', { field: 'fallacyId' }); return; }
+    if (msg.factId != null && !fact) { sendError(connId, 'bad_fact', { field: 'factId' }); return; }
+    const text = sanitizeText(msg.text);
+    if (text.length > MAX_CHAT_CHARS) { sendError(connId, 'text_too_long', { field: 'text', max: MAX_CHAT_CHARS }); return; }
+    if (!text && !fallacy && !fact) { sendError(connId, 'text_required', { field: 'text' }); return; }
+    const p = room.players[playerId];
+    const line = {
+      playerId, playerName: p.name, color: p.color, at: clock.now(),
+      text: maskProfanity(text),
+      fallacy: fallacy && { id: fallacy.id, name: fallacy.name },
+      fact: fact && { id: fact.id, title: fact.title },
+    };
+    room.teamChat[team] = [...(room.teamChat[team] || []), line].slice(-TEAM_CHAT_HISTORY);
+    Object.values(room.players).filter(q => !q.bot && allies(room, q.id, playerId)).forEach(q => sendTo(q.connId, { type: 'team_chat', ...line }));
+    engine.emit('changed', room);
+  }
+
+  // ─── SESSION RESUME ────────────────────────────────────────────────────────
+
+  function resumePlayer(room, p, connId) {
+    clock.clearTimeout(p.dropTimer);
+    p.dropTimer = null;
+    const oldConn = p.connId;
+    p.connId = connId;
+    p.connected = true;
+    conns[connId] = { roomCode: room.code, role: 'player', playerId: p.id };
+    if (oldConn && oldConn !== connId) engine.emit('close', oldConn);
+
+    sendTo(connId, {
+      type: 'resumed', playerId: p.id, color: p.color, name: p.name, code: room.code,
+      civ: p.civId ? { id: p.civId, name: p.civName, emoji: p.civEmoji } : null,
+      phase: room.phase, round: room.round, acted: hasActed(room, p.id), settings: room.settings,
+      paused: room.paused, locale: room.locale,
+    });
+    broadcast(room, { type: 'player_rejoined', players: pubPlayers(room) });
+
+    // Повторюємо поточну фазу, таймер і приватні дані (картки, карта)
+    if (room.phaseMsg) sendTo(connId, { ...room.phaseMsg, players: pubPlayers(room) });
+    if (room.timerEnd > clock.now()) sendTo(connId, { type: 'timer', timerEnd: room.timerEnd, seconds: room.timerSeconds });
+    const priv = privateState(room, p.id);
+    if (priv) sendTo(connId, priv);
+    const team = teamOf(room, p.id);
+    if (team && room.teamChat[team]?.length) sendTo(connId, { type: 'team_chat_history', messages: room.teamChat[team] });
+  }
+
+  function dropPlayer(room, playerId) {
+    const p = room.players[playerId];
+    if (!p || p.connected) return;
+    removePlayer(room, p);
+  }
+
+  function removePlayer(room, p, extra) {
+    delete room.players[p.id];
+    if (room.phase !== PHASES.LOBBY) logEvent(room, 'player_left', { playerId: p.id, name: p.name, color: p.color, ...extra });
+    broadcast(room, { type: 'player_left', players: pubPlayers(room), ...extra });
+  }
+
+  // ─── SPECTATORS ────────────────────────────────────────────────────────────
+  // Глядач може приєднатися в будь-якій фазі і бачить лише те, що й великий екран.
+  // Токен повертає ту саму особу після перезавантаження — і той самий голос.
+
+  function joinSpectator(room, connId, msg) {
+    let sp = typeof msg.token === 'string'
+      ? Object.values(room.spectators).find(s => s.token === msg.token)
+      : null;
+    // Пароль питаємо лише в нового глядача — повернення за токеном його не потребує
+    if (!sp && !checkPassword(room, connId, msg.password)) return;
+    if (!sp) {
+      const all = Object.values(room.spectators);
+      if (all.length >= MAX_SPECTATORS) {
+        const gone = all.find(s => !s.connId);
+        if (!gone) { sendError(connId, 'spectators_full'); return; }
+        delete room.spectators[gone.id];
+      }
+      let id;
+      do { id = randomId(rng, 6); } while (room.spectators[id]);
+      const name = cleanName(msg.name) || t(room.locale, 'name.spectator');
+      sp = room.spectators[id] = { id, name, token: crypto.randomBytes(16).toString('hex'), connId: null };
+    }
+    const oldConn = sp.connId;
+    sp.connId = connId;
+    conns[connId] = { roomCode: room.code, role: 'spectator', spectatorId: sp.id };
+    if (oldConn && oldConn !== connId) engine.emit('close', oldConn);
+
+    sendTo(connId, {
+      type: 'spectating', spectatorId: sp.id, token: sp.token, name: sp.name, code: room.code,
+      phase: room.phase, round: room.round, players: pubPlayers(room), settings: room.settings,
+      voted: sp.id in currentAudienceVotes(room), locale: room.locale,
+    });
+    broadcast(room, { type: 'spectators', count: spectatorCount(room) });
+
+    // Поточна фаза і таймер — як після reconnect гравця
+    if (room.phaseMsg) sendTo(connId, { ...room.phaseMsg, players: pubPlayers(room) });
+    if (room.timerEnd > clock.now()) sendTo(connId, { type: 'timer', timerEnd: room.timerEnd, seconds: room.timerSeconds });
+  }
+
+  // msg.vote — вердикт у CANCEL_VOTE; msg.playerId — найкращий виступ у RATING
+  function audienceVote(room, connId, spectatorId, msg) {
+    if (!room.settings.audience.votes) { sendError(connId, 'audience_votes_off'); return; }
+    if (room.phase === PHASES.CANCEL_VOTE) {
+      if (msg.vote !== 'cancel' && msg.vote !== 'ok') { sendError(connId, 'invalid_field', { field: 'vote' }); return; }
+      if (room.audienceVotes.cancel[spectatorId]) return;
+      room.audienceVotes.cancel[spectatorId] = msg.vote;
+    } else if (room.phase === PHASES.RATING) {
+      if (!room.speeches.some(sp => sp.playerId === msg.playerId) || !room.players[msg.playerId]) {
+        sendError(connId, 'bad_rating', { reason: 'not_speaker', field: 'playerId' }); return;
+      }
+      if (room.audienceVotes.rating[spectatorId]) return;
+      room.audienceVotes.rating[spectatorId] = msg.playerId;
+    } else return;
+    sendTo(connId, { type: 'audience_voted' });
+    broadcast(room, audienceProgress(room));
+  }
+
+  // ─── HOST RECOVERY ─────────────────────────────────────────────────────────
+  // Секрет ведучого повертає кімнату перезавантаженій вкладці. Співведучі входять
+  // за окремим секретом із посилання: отримують той самий стан і можуть ті самі дії,
+  // але не бачать жодного з секретів, а ведучий може посилання відкликати.
+  // Ведучого немає, лише коли закрились усі екрани.
+
+  const hostsMsg = room => ({ type: 'hosts', count: room.host.connIds.length });
+
+  function hostGone(room) {
+    room.host.connIds = [];
+    room.host.goneTimers = [
+      clock.setTimeout(() => pauseTimer(room, 'host_gone'), HOST_PAUSE_MS),
+      clock.setTimeout(() => closeRoom(room, 'host_gone'), HOST_ABANDON_MS),
+    ];
+  }
+
+  function reclaimHost(room, connId, { cohost = false } = {}) {
+    const screens = room.host.connIds.filter(c => c !== connId);
+    const cohosts = screens.filter(c => conns[c]?.cohost);
+    const excess = Math.max(0, screens.length + 1 - MAX_HOST_SCREENS);
+    // Співведучий, якому нема кого витіснити, не заходить; ведучий заходить завжди
+    if (cohost && excess > cohosts.length) { sendError(connId, 'host_screens_full', { max: MAX_HOST_SCREENS }); return; }
+    (room.host.goneTimers || []).forEach(clock.clearTimeout);
+    room.host.goneTimers = [];
+    const evicted = cohosts.slice(0, excess);
+    room.host.connIds = [...screens.filter(c => !evicted.includes(c)), connId];
+    conns[connId] = cohost ? { roomCode: room.code, role: 'host', cohost: true } : { roomCode: room.code, role: 'host' };
+    evicted.forEach(c => engine.emit('close', c));
+    sendTo(connId, cohost ? hostSnapshot(room) : { ...hostSnapshot(room), cohostSecret: room.cohostSecret });
+    sendHosts(room, hostsMsg(room));
+    // Паузу, яку поставив сам ведучий, знімає лише він
+    if (room.paused && room.pauseReason === 'host_gone') resumeTimer(room);
+  }
+
+  // Нове посилання співведучого; екрани за старим закриваються. Лише з екрана ведучого
+  function revokeCohost(room, connId) {
+    if (conns[connId].cohost) { sendError(connId, 'forbidden', { reason: 'cohost' }); return; }
+    room.cohostSecret = crypto.randomBytes(16).toString('hex');
+    const revoked = room.host.connIds.filter(c => conns[c]?.cohost);
+    room.host.connIds = room.host.connIds.filter(c => !revoked.includes(c));
+    revoked.forEach(c => engine.emit('close', c));
+    sendHosts(room, { type: 'cohost_revoked', cohostSecret: room.cohostSecret, count: revoked.length });
+    sendHosts(room, hostsMsg(room));
+    engine.emit('changed', room);
+  }
+
+  // Картку атаки у вікторині не показуємо до розкриття — так само, як у трансляції
+  // фази захисту (usedFallacy: null); тег і складність теж підказали б відповідь
+  function visibleSpeeches(room) {
+    if (!room.quiz || room.quiz.revealed) return room.speeches;
+    const attack = [...room.speeches].reverse().find(sp => sp.role === 'attack');
+    return room.speeches.map(sp => (sp === attack ? { ...sp, fallacyName: null, fallacyId: null, tag: null, difficulty: null } : sp));
+  }
+
+  // Повний стан кімнати, щоб екран ведучого продовжив шоу з того самого місця
+  function hostSnapshot(room) {
+    return {
+      type: 'room_reclaimed', code: room.code,
+      settings: room.settings, preset: room.preset, presets: listPresets(room.locale),
+      pack: room.packId, packs: library.list(room.code),
+      phase: room.phase, round: room.round,
+      players: pubPlayers(room),
+      attackOrder: room.attackOrder, currentAttackerIdx: room.currentAttackerIdx,
+      map: room.map, speeches: visibleSpeeches(room),
+      cancelVotes: Object.values(room.cancelVotes).filter(v => v === 'cancel').length,
+      ratingsSubmitted: Object.keys(room.ratings).length,
+      thesesChosen: Object.keys(room.theses).length,
+      spectators: spectatorCount(room), audienceVotes: audienceProgress(room).votes,
+      timerEnd: room.timerEnd, timerSeconds: room.timerSeconds, paused: room.paused, pauseReason: room.pauseReason,
+      hasPassword: !!room.password, locale: room.locale, locales: LOCALES,
+      phaseMsg: room.phaseMsg && {
+        ...room.phaseMsg, players: pubPlayers(room),
+        ...(room.phaseMsg.map ? { map: room.map } : {}),
+      },
+    };
+  }
+
+  function closeRoom(room, reason) {
+    clock.clearTimeout(room.timer);
+    (room.host?.goneTimers || []).forEach(clock.clearTimeout);
+    Object.values(room.players).forEach(p => clock.clearTimeout(p.dropTimer));
+    broadcast(room, { type: 'room_closed', reason });
+    Object.values(room.players).forEach(p => { if (p.bot) detachBot(p.connId); });
+    room.closed = true; // відкладені переходи фаз більше нічого не розсилають
+    delete heldBotActions[room.code];
+    delete rooms[room.code];
+    // Код може дістатися новій кімнаті — старі з'єднання не повинні на неї вказувати
+    Object.keys(conns).forEach(id => { if (conns[id].roomCode === room.code) delete conns[id]; });
+    if (room.upload) library.remove(room.upload.id);
+    engine.emit('room_closed', room.code);
+  }
+
+  // ─── ROOM LIFECYCLE ────────────────────────────────────────────────────────
+  // Коди кімнат унікальні й випадкові з криптографічного джерела — їх не вгадати
+  // за seed; пароль (за бажанням ведучого) перевіряється при вході гравця і глядача.
+  // Покинуті й давно завершені кімнати прибирає sweepRooms — сервер викликає його
+  // за таймером.
+
+  function newRoomCode() {
+    let code;
+    do code = randomRoomCode(); while (rooms[code]);
+    return code;
+  }
+
+  // Порожній пароль знімає захист
+  function setPassword(room, password) {
+    if (!password) { room.password = null; return; }
+    const salt = crypto.randomBytes(8).toString('hex');
+    room.password = { salt, hash: hashPassword(password, salt) };
+  }
+
+  function checkPassword(room, connId, password) {
+    if (!room.password) return true;
+    if (!password) { sendError(connId, 'password_required', { field: 'password' }); return false; }
+    const hash = Buffer.from(hashPassword(password, room.password.salt));
+    if (crypto.timingSafeEqual(hash, Buffer.from(room.password.hash))) return true;
+    sendError(connId, 'bad_password', { field: 'password' });
+    return false;
+  }
+
+  // Закриває кімнати без жодного повідомлення довше за ROOM_IDLE_MS і завершені
+  // ігри старші за ROOM_FINISHED_MS; повертає коди закритих
+  function sweepRooms() {
+    const now = clock.now();
+    const stale = Object.values(rooms).filter(room =>
+      now - (room.lastActivity ?? now) > ROOM_IDLE_MS ||
+      (room.phase === PHASES.GAME_OVER && now - (room.finishedAt ?? now) > ROOM_FINISHED_MS));
+    stale.forEach(room => {
+      logger.log(`[Rooms] ${room.code}: закрито (${room.phase === PHASES.GAME_OVER ? 'гру завершено' : 'неактивна'})`, { room: room.code, phase: room.phase });
+      closeRoom(room, 'expired');
+    });
+    return stale.map(room => room.code);
+  }
+
+  // Огляд кімнат для операторів (/debug)
+  function listRooms() {
+    const now = clock.now();
+    return Object.values(rooms).map(room => {
+      const players = Object.values(room.players);
+      return {
+        code: room.code, phase: room.phase, round: room.round, mode: room.settings.mode,
+        players: players.length, connected: players.filter(p => p.connected && !p.bot).length,
+        bots: players.filter(p => p.bot).length, spectators: spectatorCount(room),
+        host: !!room.host?.connIds.length, hostScreens: room.host?.connIds.length || 0, paused: room.paused, hasPassword: !!room.password,
+        ageSec: Math.round((now - (room.createdAt ?? now)) / 1000),
+        idleSec: Math.round((now - (room.lastActivity ?? now)) / 1000),
+      };
+    }).sort((a, b) => b.ageSec - a.ageSec);
+  }
+
+  // Повний стан однієї кімнати для адміністратора (/admin/rooms/<code>): знімок
+  // без секретів — токенів сесій, секретів ведучого й співведучих і хешу пароля; null — кімнати немає
+  function dumpRoom(code) {
+    const room = rooms[String(code || '').toUpperCase()];
+    if (!room) return null;
+    const { hostSecret, cohostSecret, password, upload, players, spectators, ...rest } = serializeRoom(room);
+    const strip = list => Object.fromEntries(Object.entries(list).map(([id, { token, ...v }]) => [id, v]));
+    return {
+      ...rest, hasPassword: !!password, upload: upload && { id: upload.id },
+      host: { connected: !!room.host?.connIds.length, screens: room.host?.connIds.length || 0 }, players: strip(players), spectators: strip(spectators),
+    };
+  }
+
+  // ─── PERSISTENCE ───────────────────────────────────────────────────────────
+  // Знімок кімнати без з'єднань і таймерів; після рестарту кімнати піднімаються
+  // з нього, а гравці й ведучий повертаються через resume/reclaim.
+
+  function serializeRoom(room) {
+    const { host, timer, closed, content, ...rest } = room;
+    const players = {};
+    Object.values(room.players).forEach(({ connId, dropTimer, ...p }) => { players[p.id] = p; });
+    const spectators = {};
+    Object.values(room.spectators).forEach(({ connId, ...sp }) => { spectators[sp.id] = sp; });
+    return { ...rest, players, spectators, savedAt: clock.now() };
+  }
+
+  function restoreRoom(snap) {
+    const room = { ...createRoom(snap.code), ...snap, host: { connIds: [], goneTimers: [] }, timer: null };
+    delete room.savedAt;
+    // Знімки до появи посилань співведучого секрету для них не мають
+    room.cohostSecret = room.cohostSecret || crypto.randomBytes(16).toString('hex');
+    // Знімок могли зберегти до появи нових полів налаштувань — доповнюємо значеннями за замовчуванням
+    room.settings = validateSettings(room.settings).settings;
+    // Завантажений набір живе лише в пам'яті — реєструємо його знову зі знімка
+    if (room.upload) library.add(room.upload.bundle, room.code, room.upload.id);
+    if (!library.info(room.packId)) {
+      logger.error(`[Packs] ${room.code}: набір ${room.packId} не знайдено, беремо стандартний`, { room: room.code, packId: room.packId });
+      room.packId = 'standard';
+    }
+    room.content = room.phase === PHASES.LOBBY ? null : library.get(room.packId);
+    // Знімки до появи pauseReason: пауза могла бути лише через відсутність ведучого
+    if (room.paused && !room.pauseReason) room.pauseReason = 'host_gone';
+    // Час простою рахуємо від рестарту — поки сервер лежав, ніхто не міг написати
+    room.createdAt = room.createdAt || clock.now();
+    room.lastActivity = clock.now();
+    Object.values(room.spectators).forEach(sp => { sp.connId = null; });
+    Object.values(room.players).forEach(p => {
+      if (p.bot) { attachBot(room, p); return; }
+      p.connId = null;
+      p.connected = false;
+      p.dropTimer = clock.setTimeout(() => dropPlayer(room, p.id), RESUME_GRACE_MS);
+    });
+    rooms[room.code] = room;
+    hostGone(room);
+
+    // Таймер фази продовжує з того ж timerEnd; якщо він сплив під час рестарту —
+    // даємо телефонам кілька секунд перепідключитись
+    if (!room.paused && room.timerEnd) armTimer(room, Math.max(RESTORE_MIN_DELAY_MS, room.timerEnd - clock.now()));
+    Object.values(room.players).filter(p => p.bot).forEach(p => wakeBot(room, p));
+    engine.emit('room_opened', room.code);
+    return room;
+  }
+
+  // Запис завершеної гри для архіву; log — повний журнал подій для повтору
+  function gameRecord(room, victory, id) {
+    const share = territoryShare(room);
+    return {
+      id,
+      code: room.code,
+      startedAt: room.startedAt, finishedAt: clock.now(),
+      rounds: room.round, reason: victory.reason, winnerId: victory.winnerId, winnerTeam: victory.winnerTeam,
+      settings: room.settings,
+      players: pubPlayers(room).map(p => ({
+        id: p.id, name: p.name, color: p.color, score: p.score,
+        civId: p.civId, civName: p.civName, civEmoji: p.civEmoji,
+        team: p.team, teamColor: p.teamColor,
+        territory: Math.round((share[ownerOf(room, p.id)] || 0) * 100),
+      })),
+      speeches: room.gameSpeeches,
+      ratings: room.ratingHistory,
+      map: room.map && {
+        grid: room.map.grid, radius: room.map.radius,
+        cells: room.map.cells.map(({ id, row, col, terrain, capital }) => ({ id, row, col, terrain, capital })),
+      },
+      mapHistory: room.mapHistory,
+      log: room.log,
+    };
+  }
+
+  return Object.assign(engine, { rooms, library, handle, disconnect, uploadPack, serializeRoom, restoreRoom, sweepRooms, listRooms, dumpRoom, maxRooms });
+}
+
+module.exports = { createEngine, randomRoomCode, PHASES };
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─── I18N ────────────────────────────────────────────────────────────────────
+// Каталоги перекладів — public/i18n/<мова>.json: плоскі об'єкти «ключ → рядок»
+// з підстановками {name}. Ті самі файли завантажують host.html і player.html;
+// сервер бере з них лише тексти помилок (error.<code>), імена за замовчуванням,
+// назви ботів і типів місцевості — мовою кімнати.
+
+const I18N_DIR = path.join(__dirname, '../public/i18n');
+const LOCALES = ['uk', 'en'];
+const DEFAULT_LOCALE = 'uk';
+
+const catalogues = Object.fromEntries(
+  LOCALES.map(locale => [locale, JSON.parse(fs.readFileSync(path.join(I18N_DIR, `${locale}.json`)))]),
+);
+
+const pickLocale = raw => (LOCALES.includes(raw) ? raw : DEFAULT_LOCALE);
+
+// Ключа немає в мові — беремо мову за замовчуванням, а далі сам ключ
+function t(locale, key, params) {
+  const s = catalogues[pickLocale(locale)][key] ?? catalogues[DEFAULT_LOCALE][key] ?? key;
+  return params ? s.replace(/\{(\w+)\}/g, (m, name) => String(params[name] ?? m)) : s;
+}
+
+// Текст помилки: варіант error.<code>.<reason>, якщо він є, інакше error.<code>.
+// Підстановки — з тих самих полів, що йдуть клієнту (field, max, …)
+function errorText(locale, code, extra = {}) {
+  const variant = extra.reason && `error.${code}.${extra.reason}`;
+  return t(locale, variant && variant in catalogues[DEFAULT_LOCALE] ? variant : `error.${code}`, extra);
+}
+
+module.exports = { LOCALES, DEFAULT_LOCALE, pickLocale, t, errorText };
@@ -0,0 +1,39 @@
+// ─── LOGGING ─────────────────────────────────────────────────────────────────
+// Логи сервера для операторів: один JSON-рядок на подію — у stdout, помилки в
+// stderr. Методи ті самі, що й у console, тож логер можна передати будь-якому
+// модулю замість console: рядкові аргументи стають полем msg, а об'єкт останнім
+// аргументом — полями запису (room, phase, playerId, …).
+//
+//   logger.log(...args)     — info
+//   logger.warn(...args)    — помилка клієнта або щось підозріле
+//   logger.error(...args)   — збій сервера
+//   logger.child(fields)    — логер, що додає fields до кожного запису
+//
+// LOG_FORMAT=text — той самий запис у рядок для читання очима (npm run dev).
+
+const LEVELS = { log: 'info', warn: 'warn', error: 'error' };
+
+const isFields = v => !!v && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Error);
+
+function toText(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const rest = Object.entries(fields).map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`);
+  return [time, level.toUpperCase(), msg, ...rest].join(' ');
+}
+
+function createLogger({ format = process.env.LOG_FORMAT || 'json', out = process.stdout, err = process.stderr, now = () => new Date(), fields = {} } = {}) {
+  function write(level, args) {
+    const extra = args.length > 1 && isFields(args[args.length - 1]) ? args.pop() : isFields(args[0]) ? args.shift() : {};
+    const msg = args.map(a => (a instanceof Error ? a.stack || a.message : String(a))).join(' ');
+    const entry = { time: now().toISOString(), level, msg, ...fields, ...extra };
+    (level === 'error' ? err : out).write((format === 'text' ? toText(entry) : JSON.stringify(entry)) + '\n');
+  }
+
+  const logger = {};
+  Object.entries(LEVELS).forEach(([method, level]) => { logger[method] = (...args) => write(level, args); });
+  logger.info = logger.log;
+  logger.child = more => createLogger({ format, out, err, now, fields: { ...fields, ...more } });
+  return logger;
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,141 @@
+// ─── HEX MAP ─────────────────────────────────────────────────────────────────
+// Гексагональний диск з рядами зі зсувом (odd-r). Розмір залежить від кількості
+// гравців; стартові території — кластери на краю диска, рівномірно по колу,
+// у центрі кожного — столиця. Місцевість визначає, скільки очок коштує клітинка.
+
+// Частки — на скільки клітинок диска припадає кожен тип місцевості; назви —
+// terrain.<тип> у каталогах public/i18n/
+const TERRAIN = {
+  plains:    { cost: 1, share: 0.6 },
+  forest:    { cost: 2, share: 0.25 },
+  mountains: { cost: 3, share: 0.15 },
+};
+
+function hexNeighborOffsets(row) {
+  return row % 2 === 0
+    ? [[-1,-1],[-1,0],[0,-1],[0,1],[1,-1],[1,0]]
+    : [[-1,0],[-1,1],[0,-1],[0,1],[1,0],[1,1]];
+}
+
+function hexDistance(r1, c1, r2, c2) {
+  const toCube = (r, c) => { const x = c - (r - (r & 1)) / 2; return { x, y: -x - r, z: r }; };
+  const a = toCube(r1, c1), b = toCube(r2, c2);
+  return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y), Math.abs(a.z - b.z));
+}
+
+function rollTerrain(rng) {
+  let x = rng();
+  for (const [type, t] of Object.entries(TERRAIN)) {
+    if (x < t.share) return type;
+    x -= t.share;
+  }
+  return 'plains';
+}
+
+// capitals — { playerId: назва столиці цивілізації }; кого там немає, отримує
+// столицю без назви (capital: true). terrain: false — уся карта рівнина.
+// members — { owner: скільки гравців } для командної гри: розмір диска і
+// стартового кластера рахуємо за гравцями, а власник клітинок — команда
+function initMap(playerIds, { rng = Math.random, capitals = {}, terrain = true, members = {} } = {}) {
+  const n = playerIds.length;
+  const size = pid => members[pid] || 1;
+  const people = playerIds.reduce((sum, pid) => sum + size(pid), 0);
+  const RADIUS = people <= 3 ? 5 : people <= 5 ? 6 : 7;
+  const GRID = RADIUS * 2 + 1;
+  const CR = RADIUS, CC = RADIUS;
+  const cells = [], cellMap = {};
+
+  for (let r = 0; r < GRID; r++) {
+    for (let c = 0; c < GRID; c++) {
+      const dist = hexDistance(r, c, CR, CC);
+      if (dist <= RADIUS) {
+        const cell = { id: r * GRID + c, row: r, col: c, owner: null, dist, terrain: terrain ? rollTerrain(rng) : 'plains' };
+        cells.push(cell); cellMap[r + ',' + c] = cell;
+      }
+    }
+  }
+
+  const edgeCells = cells.filter(c => c.dist === RADIUS);
+  const CLUSTER = Math.max(3, Math.floor(edgeCells.length / people) - 1);
+
+  playerIds.forEach((pid, i) => {
+    const angle = (2 * Math.PI * i / n) - Math.PI / 2;
+    let best = null, bestD = Infinity;
+    edgeCells.forEach(cell => {
+      let diff = Math.abs(Math.atan2(cell.row - CR, cell.col - CC) - angle);
+      if (diff > Math.PI) diff = 2 * Math.PI - diff;
+      if (diff < bestD) { bestD = diff; best = cell; }
+    });
+    if (!best) return;
+    // Столиця — перша клітинка кластера; вона завжди рівнина
+    if (!best.owner) Object.assign(best, { terrain: 'plains', capital: capitals[pid] || true });
+    const visited = new Set([best.row + ',' + best.col]);
+    const queue = [best];
+    let count = 0;
+    while (queue.length && count < CLUSTER * size(pid)) {
+      const cur = queue.shift();
+      if (cur.owner && cur.owner !== pid) continue;
+      cur.owner = pid; count++;
+      hexNeighborOffsets(cur.row)
+        .map(([dr, dc]) => cellMap[(cur.row + dr) + ',' + (cur.col + dc)])
+        .filter(nb => nb && !visited.has(nb.row + ',' + nb.col) && (!nb.owner || nb.owner === pid))
+        .sort((a, b) => b.dist - a.dist)
+        .forEach(nb => { visited.add(nb.row + ',' + nb.col); queue.push(nb); });
+    }
+  });
+
+  return { cells, grid: GRID, radius: RADIUS, centerR: CR, centerC: CC };
+}
+
+// ─── TERRITORY ───────────────────────────────────────────────────────────────
+
+function neighbors(map, cell) {
+  return hexNeighborOffsets(cell.row)
+    .map(([dr, dc]) => map.cells.find(c => c.row === cell.row + dr && c.col === cell.col + dc))
+    .filter(Boolean);
+}
+
+// Зв'язні області гравця, від найбільшої. Перша — ядро: область зі столицею,
+// а якщо столиці немає (карта зі старого знімка) — найбільша.
+function regionsOf(map, playerId) {
+  const seen = new Set(), regions = [];
+  map.cells.filter(c => c.owner === playerId).forEach(start => {
+    if (seen.has(start.id)) return;
+    const region = [start];
+    seen.add(start.id);
+    for (let i = 0; i < region.length; i++) {
+      neighbors(map, region[i]).forEach(nb => {
+        if (nb.owner === playerId && !seen.has(nb.id)) { seen.add(nb.id); region.push(nb); }
+      });
+    }
+    regions.push(region);
+  });
+  const core = r => r.some(c => c.capital) ? 1 : 0;
+  return regions.sort((a, b) => core(b) - core(a) || b.length - a.length);
+}
+
+// { playerId: { cells, largest, cutOff: [cellId] } } — відрізане — усе поза ядром
+function territoryStats(map, playerIds) {
+  const stats = {};
+  playerIds.forEach(pid => {
+    const regions = regionsOf(map, pid);
+    stats[pid] = {
+      cells: regions.reduce((n, r) => n + r.length, 0),
+      largest: regions.reduce((n, r) => Math.max(n, r.length), 0),
+      cutOff: regions.slice(1).flat().map(c => c.id),
+    };
+  });
+  return stats;
+}
+
+// Скільки очок коштує клітинка для playerId або null, якщо її не взяти.
+// Чужа земля дорожча на enemyCost, але відрізана від столиці — без надбавки:
+// її нікому боронити.
+function captureCost(map, cell, playerId, { enemyCost, cutOff }) {
+  if (!cell || cell.owner === playerId || cell.capital) return null;
+  if (!neighbors(map, cell).some(nb => nb.owner === playerId)) return null;
+  const base = TERRAIN[cell.terrain]?.cost || 1;
+  return cell.owner && !cutOff.has(cell.id) ? base + enemyCost : base;
+}
+
+module.exports = { TERRAIN, hexNeighborOffsets, hexDistance, initMap, regionsOf, territoryStats, captureCost };
@@ -0,0 +1,77 @@
+// ─── METRICS ─────────────────────────────────────────────────────────────────
+// Метрики екземпляра в текстовому форматі Prometheus (GET /metrics). Без
+// залежностей: лічильники, датчики і гістограми з мітками.
+//
+//   metrics.counter(name, help)             → { inc(labels, n = 1) }
+//   metrics.gauge(name, help, read)         — read() → число або [[мітки, число], …], під час запиту
+//   metrics.histogram(name, help, buckets)  → { observe(labels, value) }
+//   metrics.render()                        — текст для скрейпера
+//
+// Мітки — невеликий скінченний набір значень (фаза, тип повідомлення), не коди кімнат.
+
+// Межі гістограм тривалості, секунди: від коротких переходів до довгих фаз з таймером
+const DURATION_BUCKETS = [1, 5, 10, 20, 30, 45, 60, 90, 120, 180, 300, 600];
+
+const escape = v => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const labelText = labels => {
+  const pairs = Object.entries(labels || {}).map(([k, v]) => `${k}="${escape(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+function createMetrics() {
+  const families = []; // { name, help, type, samples() → [[суфікс, мітки, значення]] }
+
+  function family(name, help, type, samples) {
+    families.push({ name, help, type, samples });
+  }
+
+  function counter(name, help) {
+    const values = new Map(); // текст міток -> { labels, value }
+    family(name, help, 'counter', () => [...values.values()].map(v => ['', v.labels, v.value]));
+    return {
+      inc(labels = {}, n = 1) {
+        const key = labelText(labels);
+        const v = values.get(key) || values.set(key, { labels, value: 0 }).get(key);
+        v.value += n;
+      },
+    };
+  }
+
+  function gauge(name, help, read) {
+    family(name, help, 'gauge', () => {
+      const value = read();
+      return Array.isArray(value) ? value.map(([labels, v]) => ['', labels, v]) : [['', {}, value]];
+    });
+  }
+
+  function histogram(name, help, buckets = DURATION_BUCKETS) {
+    const series = new Map(); // текст міток -> { labels, counts, sum, count }
+    family(name, help, 'histogram', () => [...series.values()].flatMap(s => [
+      ...buckets.map((le, i) => ['_bucket', { ...s.labels, le }, s.counts[i]]),
+      ['_bucket', { ...s.labels, le: '+Inf' }, s.count],
+      ['_sum', s.labels, s.sum],
+      ['_count', s.labels, s.count],
+    ]));
+    return {
+      observe(labels, value) {
+        const key = labelText(labels);
+        const s = series.get(key) || series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }).get(key);
+        buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      },
+    };
+  }
+
+  function render() {
+    return families.map(f => [
+      `# HELP ${f.name} ${f.help}`,
+      `# TYPE ${f.name} ${f.type}`,
+      ...f.samples().map(([suffix, labels, value]) => `${f.name}${suffix}${labelText(labels)} ${value}`),
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics, DURATION_BUCKETS };
@@ -0,0 +1,33 @@
+// ─── RANDOM ──────────────────────────────────────────────────────────────────
+// Рушій бере випадковість лише через rng() → [0, 1), тож із сидом партія
+// повторюється до останньої картки.
+
+// mulberry32 — маленький детермінований генератор
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(arr, rng = Math.random) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// Короткий ідентифікатор з [0-9a-z]
+function randomId(rng, length) {
+  let s = '';
+  while (s.length < length) s += Math.floor(rng() * 36).toString(36);
+  return s;
+}
+
+module.exports = { createRng, shuffle, randomId };
@@ -0,0 +1,230 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { randomRoomCode } = require('./engine');
+const { DEFAULT_LOCALE, errorText } = require('./i18n');
+
+// ─── ROUTER ──────────────────────────────────────────────────────────────────
+// Кілька екземплярів сервера за одним балансувальником. Кожна кімната живе в
+// рушії рівно одного екземпляра — власника; хто власник коду, знає реєстр на
+// шині (./bus). Сокет може прийти на будь-який екземпляр: його повідомлення
+// роутер пересилає власнику кімнати, а відповіді рушія — назад через шину.
+//
+//   router.handle(connId, msg)      — замість engine.handle
+//   router.disconnect(connId)       — замість engine.disconnect
+//   router.uploadPack(code, …)      — Promise результату engine.uploadPack власника
+//   router.dumpRoom(code)           — Promise результату engine.dumpRoom власника;
+//                                     undefined — власник не відповів
+//   router.adopt(code)              — Promise<true>, якщо знімок кімнати відновлювати тут
+//
+// Події 'send' і 'close' — як у рушія, але лише для сокетів цього екземпляра.
+// Рушій бачить чужі з'єднання як «<екземпляр>/<connId>»; у локальних id немає '/'.
+
+// Скільки живе запис власника без оновлення — після падіння екземпляра код звільниться
+const OWNER_TTL_MS = 90 * 1000;
+const OWNER_REFRESH_MS = 30 * 1000;
+// Скільки чекати відповіді власника на виклик (uploadPack, dumpRoom) і самого
+// реєстру, коли шукаємо власника для повідомлення сокета
+const CALL_TIMEOUT_MS = 10 * 1000;
+const CLAIM_ATTEMPTS = 5;
+// Методи рушія, які можна викликати на власнику через шину
+const CALLS = new Set(['uploadPack', 'dumpRoom']);
+
+// Повідомлення з кодом кімнати — за ним вибираємо власника
+const ROUTED = new Set(['join_room', 'resume', 'reclaim_room', 'join_cohost', 'join_spectator']);
+
+const roomKey = code => `fm:room:${code}`;
+const inbox = instanceId => `fm:instance:${instanceId}`;
+
+function createRouter({ engine, bus, instanceId = crypto.randomBytes(4).toString('hex'), logger = console, timeoutMs = CALL_TIMEOUT_MS }) {
+  const router = new EventEmitter();
+  const links = {};   // локальний connId -> { owner, queue }; queue — повідомлення, поки шукаємо власника
+  const owned = new Set();
+  const calls = {};   // id виклику -> { resolve, timer }
+  let nextCallId = 1;
+
+  const publish = (instance, data) => bus.publish(inbox(instance), data)
+    .catch(err => logger.error(`[Router] ${instance}:`, err.message));
+
+  function remote(connId) {
+    const i = String(connId).indexOf('/');
+    return i > 0 ? { instance: connId.slice(0, i), connId: connId.slice(i + 1) } : null;
+  }
+
+  // ─── TO OWNER ──────────────────────────────────────────────────────────────
+
+  function deliver(connId, link, msg, roomCode) {
+    if (link.owner !== instanceId) { publish(link.owner, { kind: 'handle', from: instanceId, connId, msg }); return; }
+    engine.handle(connId, msg, roomCode);
+    // create_room не створив кімнату (сервер переповнений) — код повертаємо в реєстр
+    if (roomCode && !engine.rooms[roomCode]) bus.release(roomKey(roomCode)).catch(() => {});
+  }
+
+  // Сокет перейшов до кімнати іншого власника — для старого він відключився
+  function rebind(connId, link, owner) {
+    if (link.owner !== owner) leave(connId, link.owner);
+    link.owner = owner;
+  }
+
+  function leave(connId, owner) {
+    if (owner === instanceId) engine.disconnect(connId);
+    else publish(owner, { kind: 'disconnect', from: instanceId, connId });
+  }
+
+  // Поки з'ясовуємо власника, наступні повідомлення сокета чекають у черзі —
+  // інакше вони б обігнали перше. Реєстр мовчить довше за timeoutMs — вирішуємо
+  // локально, щоб сокет не завис без відповіді
+  function wait(connId, link, msg, find) {
+    link.queue = [];
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`реєстр не відповів за ${timeoutMs} мс`)), timeoutMs);
+    });
+    Promise.race([find(), timeout]).finally(() => clearTimeout(timer)).catch(err => {
+      logger.error('[Router]', err.message);
+      return { owner: instanceId };
+    }).then(({ owner, roomCode }) => {
+      rebind(connId, link, owner);
+      const queue = link.queue;
+      link.queue = null;
+      deliver(connId, link, msg, roomCode);
+      queue.forEach(m => (m === DISCONNECT ? disconnect(connId) : handle(connId, m)));
+    });
+  }
+  const DISCONNECT = Symbol('disconnect');
+
+  function handle(connId, msg) {
+    const link = links[connId] = links[connId] || { owner: instanceId, queue: null };
+    if (link.queue) { link.queue.push(msg); return; }
+    if (msg?.type === 'create_room') {
+      wait(connId, link, msg, async () => ({ owner: instanceId, roomCode: await reserveCode() }));
+      return;
+    }
+    const code = ROUTED.has(msg?.type) && typeof msg.code === 'string' ? msg.code : null;
+    if (code && !owned.has(code)) {
+      wait(connId, link, msg, async () => ({ owner: await bus.get(roomKey(code)) || instanceId }));
+      return;
+    }
+    if (code) rebind(connId, link, instanceId);
+    deliver(connId, link, msg);
+  }
+
+  function disconnect(connId) {
+    const link = links[connId];
+    if (!link) return;
+    if (link.queue) { link.queue.push(DISCONNECT); return; }
+    delete links[connId];
+    leave(connId, link.owner);
+  }
+
+  // ─── ROOM REGISTRY ─────────────────────────────────────────────────────────
+
+  // Код, не зайнятий жодним екземпляром. Якщо реєстр недоступний — рушій
+  // згенерує код сам (вільний хоча б локально)
+  async function reserveCode() {
+    for (let i = 0; i < CLAIM_ATTEMPTS; i++) {
+      const code = randomRoomCode();
+      if (!engine.rooms[code] && await bus.claim(roomKey(code), instanceId, OWNER_TTL_MS)) return code;
+    }
+    return null;
+  }
+
+  function adopt(code) {
+    return bus.claim(roomKey(code), instanceId, OWNER_TTL_MS);
+  }
+
+  engine.on('room_opened', code => {
+    owned.add(code);
+    adopt(code).then(ok => {
+      if (!ok) logger.error(`[Router] код ${code} уже належить іншому екземпляру`);
+    }).catch(err => logger.error('[Router]', err.message));
+  });
+
+  engine.on('room_closed', code => {
+    owned.delete(code);
+    bus.release(roomKey(code)).catch(err => logger.error('[Router]', err.message));
+  });
+
+  const heartbeat = setInterval(() => {
+    owned.forEach(code => bus.refresh(roomKey(code), OWNER_TTL_MS).catch(err => logger.error('[Router]', err.message)));
+  }, OWNER_REFRESH_MS);
+  heartbeat.unref?.();
+
+  // ─── FROM ENGINE ───────────────────────────────────────────────────────────
+
+  engine.on('send', (connId, msg) => {
+    const r = remote(connId);
+    if (r) publish(r.instance, { kind: 'send', connId: r.connId, msg });
+    else router.emit('send', connId, msg);
+  });
+
+  engine.on('close', connId => {
+    const r = remote(connId);
+    if (r) publish(r.instance, { kind: 'close', connId: r.connId });
+    else router.emit('close', connId);
+  });
+
+  // ─── BUS ───────────────────────────────────────────────────────────────────
+
+  const inboxHandlers = {
+    handle: m => engine.handle(`${m.from}/${m.connId}`, m.msg),
+    disconnect: m => engine.disconnect(`${m.from}/${m.connId}`),
+    send: m => router.emit('send', m.connId, m.msg),
+    close: m => router.emit('close', m.connId),
+    // Викликати через шину можна лише методи з CALLS — решту відхиляємо
+    call: m => {
+      if (!CALLS.has(m.method)) {
+        logger.warn(`[Router] невідомий виклик ${m.method} від ${m.from}`, { from: m.from, method: m.method });
+        publish(m.from, { kind: 'reply', id: m.id, error: `невідомий метод ${m.method}` });
+        return;
+      }
+      publish(m.from, { kind: 'reply', id: m.id, result: engine[m.method](...(Array.isArray(m.args) ? m.args : [])) });
+    },
+    reply: m => {
+      const call = calls[m.id];
+      if (!call) return;
+      clearTimeout(call.timer);
+      delete calls[m.id];
+      if (m.error) call.reject(new Error(m.error));
+      else call.resolve(m.result);
+    },
+  };
+
+  bus.subscribe(inbox(instanceId), m => inboxHandlers[m.kind]?.(m));
+
+  // HTTP-запит міг прийти не на власника кімнати — викликаємо метод рушія там,
+  // де кімната живе; timeoutResult — відповідь, якщо власник мовчить. Якщо власник
+  // відхилив виклик (метод не з CALLS), проміс відхиляється з його помилкою
+  async function callOwner(code, method, args, timeoutResult) {
+    const owner = owned.has(code) ? instanceId : typeof code === 'string' && await bus.get(roomKey(code));
+    if (!owner || owner === instanceId) return engine[method](...args);
+    const id = `${instanceId}:${nextCallId++}`;
+    return new Promise((resolve, reject) => {
+      calls[id] = {
+        resolve, reject,
+        timer: setTimeout(() => {
+          delete calls[id];
+          resolve(timeoutResult);
+        }, timeoutMs),
+      };
+      publish(owner, { kind: 'call', from: instanceId, id, method, args });
+    });
+  }
+
+  function uploadPack(code, hostSecret, bundle) {
+    return callOwner(code, 'uploadPack', [code, hostSecret, bundle], { code: 'unavailable', msg: errorText(DEFAULT_LOCALE, 'unavailable') });
+  }
+
+  function dumpRoom(code) {
+    code = String(code || '').toUpperCase();
+    return callOwner(code, 'dumpRoom', [code], undefined);
+  }
+
+  function close() {
+    clearInterval(heartbeat);
+    Object.values(calls).forEach(c => clearTimeout(c.timer));
+  }
+
+  return Object.assign(router, { instanceId, handle, disconnect, uploadPack, dumpRoom, adopt, close });
+}
+
+module.exports = { createRouter, OWNER_TTL_MS };
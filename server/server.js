@@ -3,651 +3,290 @@ const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
-
-const fallacies = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/fallacies.json')));
-const civData   = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/civilizations.json')));
+const crypto = require('crypto');
+const { createEngine } = require('./engine');
+const { createRouter } = require('./router');
+const { createMemoryBus, createRedisBus } = require('./bus');
+const { createStore } = require('./storage');
+const { createLibrary } = require('./content');
+const { gameStats, toCsv } = require('./stats');
+const { MAX_MESSAGE_BYTES, SCHEMAS, createRateLimiter } = require('./validate');
+const { DEFAULT_LOCALE, errorText } = require('./i18n');
+const { createLogger } = require('./log');
+const { createMetrics } = require('./metrics');
+
+// Один JSON-рядок на подію (LOG_FORMAT=text — для читання очима); instance — у кожному записі
+const instanceId = process.env.INSTANCE_ID || crypto.randomBytes(4).toString('hex');
+const logger  = createLogger().child({ instance: instanceId });
+const library = createLibrary({ logger });
+const engine  = createEngine({ library, logger, maxRooms: Number(process.env.MAX_ROOMS) || undefined });
+const store   = createStore(undefined, { logger });
+// З REDIS_URL екземпляри бачать кімнати один одного; без нього шина — у пам'яті процесу
+const bus     = process.env.REDIS_URL ? createRedisBus({ url: process.env.REDIS_URL, logger }) : createMemoryBus();
+const router  = createRouter({ engine, bus, instanceId, logger });
+
+// Набори змісту з data/ і packs/ перечитуються на льоту — кімнати не перезапускаються
+if (process.env.PACKS_WATCH === '1') library.watch();
+
+// Бандл набору змісту — у WebSocket-повідомлення він не влазить
+const MAX_PACK_BYTES = 2 * 1024 * 1024;
+
+// Статика віддається лише з цієї теки: сховище і код сервера лежать поруч
+const PUBLIC_DIR = path.join(__dirname, '../public');
+
+// Як часто шукаємо покинуті й завершені кімнати
+const ROOM_SWEEP_MS = 60 * 1000;
+setInterval(() => engine.sweepRooms(), ROOM_SWEEP_MS).unref();
 
 // ─── HTTP ────────────────────────────────────────────────────────────────────
-const server = http.createServer((req, res) => {
-  const pathname = url.parse(req.url).pathname;
-  if (pathname === '/debug') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'ok', uptime: Math.floor(process.uptime()) + 's', rooms: Object.keys(rooms).length }));
-    return;
-  }
-  const filePath = path.join(__dirname, '../public', pathname === '/' ? '/index.html' : pathname);
-  const mime = { '.html':'text/html', '.js':'application/javascript', '.css':'text/css', '.json':'application/json' };
-  fs.readFile(filePath, (err, data) => {
-    if (err) { res.writeHead(404); res.end('Not found: ' + pathname); return; }
-    res.writeHead(200, { 'Content-Type': mime[path.extname(filePath)] || 'text/plain' });
-    res.end(data);
-  });
-});
-
-// ─── HELPERS ─────────────────────────────────────────────────────────────────
-function shuffle(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
 }
 
-function pickFallacies(count, maxDiff) {
-  return shuffle(fallacies.filter(f => f.id !== 0 && f.difficulty <= maxDiff)).slice(0, count);
-}
-
-function getDeckDifficulty(round) {
-  if (round <= 2) return 2;
-  if (round <= 4) return 3;
-  return 4;
-}
-
-// Факти конфронтації між двома цивілізаціями (в будь-якому порядку ключа)
-function getConfrontationFacts(civA, civB) {
-  return civData.confrontations[`${civA}_vs_${civB}`]
-      || civData.confrontations[`${civB}_vs_${civA}`]
-      || [];
-}
-
-// ─── HEX MAP ─────────────────────────────────────────────────────────────────
-function hexNeighborOffsets(row) {
-  return row % 2 === 0
-    ? [[-1,-1],[-1,0],[0,-1],[0,1],[1,-1],[1,0]]
-    : [[-1,0],[-1,1],[0,-1],[0,1],[1,0],[1,1]];
-}
-
-function hexDistance(r1, c1, r2, c2) {
-  const toCube = (r, c) => { const x = c - (r - (r & 1)) / 2; return { x, y: -x - r, z: r }; };
-  const a = toCube(r1, c1), b = toCube(r2, c2);
-  return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y), Math.abs(a.z - b.z));
-}
-
-function initMap(playerIds) {
-  const n = playerIds.length;
-  const RADIUS = n <= 3 ? 5 : n <= 5 ? 6 : 7;
-  const GRID = RADIUS * 2 + 1;
-  const CR = RADIUS, CC = RADIUS;
-  const cells = [], cellMap = {};
-
-  for (let r = 0; r < GRID; r++) {
-    for (let c = 0; c < GRID; c++) {
-      const dist = hexDistance(r, c, CR, CC);
-      if (dist <= RADIUS) {
-        const cell = { id: r * GRID + c, row: r, col: c, owner: null, dist };
-        cells.push(cell); cellMap[r + ',' + c] = cell;
-      }
-    }
-  }
-
-  const edgeCells = cells.filter(c => c.dist === RADIUS);
-  const CLUSTER = Math.max(3, Math.floor(edgeCells.length / n) - 1);
-
-  playerIds.forEach((pid, i) => {
-    const angle = (2 * Math.PI * i / n) - Math.PI / 2;
-    let best = null, bestD = Infinity;
-    edgeCells.forEach(cell => {
-      let diff = Math.abs(Math.atan2(cell.row - CR, cell.col - CC) - angle);
-      if (diff > Math.PI) diff = 2 * Math.PI - diff;
-      if (diff < bestD) { bestD = diff; best = cell; }
-    });
-    if (!best) return;
-    const visited = new Set([best.row + ',' + best.col]);
-    const queue = [best];
-    let count = 0;
-    while (queue.length && count < CLUSTER) {
-      const cur = queue.shift();
-      if (cur.owner && cur.owner !== pid) continue;
-      cur.owner = pid; count++;
-      hexNeighborOffsets(cur.row)
-        .map(([dr, dc]) => cellMap[(cur.row + dr) + ',' + (cur.col + dc)])
-        .filter(nb => nb && !visited.has(nb.row + ',' + nb.col) && (!nb.owner || nb.owner === pid))
-        .sort((a, b) => b.dist - a.dist)
-        .forEach(nb => { visited.add(nb.row + ',' + nb.col); queue.push(nb); });
+// Помилка з кодом, як у WebSocket; кімнати (а з нею мови) тут ще немає — текст за замовчуванням
+const apiError = (code, extra) => ({ code, ...extra, msg: errorText(DEFAULT_LOCALE, code, extra) });
+
+// POST /api/packs { code, hostSecret, pack } — ведучий завантажує набір для своєї кімнати
+function uploadPack(req, res) {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_PACK_BYTES) {
+      if (!res.headersSent) sendJson(res, 413, apiError('too_large', { reason: 'pack', maxMb: MAX_PACK_BYTES / 1024 / 1024 }));
+      req.destroy();
+      return;
     }
+    chunks.push(chunk);
   });
-
-  return { cells, grid: GRID, radius: RADIUS, centerR: CR, centerC: CC };
-}
-
-function isAdjacentHex(map, cellId, playerId) {
-  const cell = map.cells.find(c => c.id === cellId);
-  if (!cell || cell.owner === playerId) return false;
-  return hexNeighborOffsets(cell.row).some(([dr, dc]) => {
-    const nb = map.cells.find(c => c.row === cell.row + dr && c.col === cell.col + dc);
-    return nb && nb.owner === playerId;
+  req.on('end', () => {
+    if (res.headersSent) return;
+    let body; try { body = JSON.parse(Buffer.concat(chunks)); } catch { sendJson(res, 400, apiError('bad_json')); return; }
+    router.uploadPack(body?.code, body?.hostSecret, body?.pack).then(result => {
+      const status = { forbidden: 403, settings_locked: 409, invalid_pack: 422, invalid_settings: 422, unavailable: 503 };
+      sendJson(res, result.code ? status[result.code] || 400 : 200, result);
+    }).catch(err => sendJson(res, 500, { code: 'bus', msg: err.message }));
   });
 }
 
-// ─── GAME STATE ───────────────────────────────────────────────────────────────
-const PHASES = {
-  LOBBY:       'lobby',
-  CIV_SELECT:  'civ_select',
-  ATTACK_PREP: 'attack_prep',
-  DEFENSE:     'defense',
-  CANCEL_VOTE: 'cancel_vote',
-  RATING:      'rating',
-  MAP:         'map',
-  ROUND_END:   'round_end',
-};
-
-let rooms = {};
-
-function createRoom(code) {
-  return {
-    code, phase: PHASES.LOBBY,
-    host: null, players: {}, round: 0,
-    attackOrder: [], currentAttackerIdx: 0,
-    currentAttack: null,   // { attackerId, defenderId, factId, fallacyId, attackerCards, defenderCards }
-    defenseChoice: null,   // 'speak' | 'silence'
-    cancelVotes: {},       // playerId -> 'cancel' | 'ok'
-    speeches: [],          // [{ playerId, role, civEmoji, civName, fallacyName }]
-    ratings: {},           // voterId -> [playerId, ...]  (від кращого)
-    roundScores: {},
-    map: null,
-    timer: null, timerEnd: null,
-  };
-}
-
-const COLORS = ['#e63946','#2a9d8f','#e9c46a','#f4a261','#457b9d','#06d6a0','#a8dadc','#ff6b6b'];
-
-function broadcast(room, msg) {
-  const str = JSON.stringify(msg);
-  if (room.host?.ws?.readyState === WebSocket.OPEN) room.host.ws.send(str);
-  Object.values(room.players).forEach(p => {
-    if (p.ws?.readyState === WebSocket.OPEN) p.ws.send(str);
-  });
-}
-
-function sendTo(ws, msg) {
-  if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
-}
-
-function pubPlayers(room) {
-  return Object.values(room.players).map(p => ({
-    id: p.id, name: p.name, color: p.color, score: p.score,
-    civId: p.civId || null, civName: p.civName || null, civEmoji: p.civEmoji || null,
-  }));
-}
-
-function startTimer(room, seconds, onEnd) {
-  clearTimeout(room.timer);
-  room.timerEnd = Date.now() + seconds * 1000;
-  broadcast(room, { type: 'timer', timerEnd: room.timerEnd, seconds });
-  room.timer = setTimeout(onEnd, seconds * 1000);
-}
-
-// ─── PHASES ───────────────────────────────────────────────────────────────────
-
-function gotoCivSelect(room) {
-  room.phase = PHASES.CIV_SELECT;
-  broadcast(room, {
-    type: 'phase', phase: room.phase,
-    civilizations: civData.civilizations,
-    players: pubPlayers(room),
-  });
-  startTimer(room, 45, () => {
-    // Автовибір для тих хто не встиг
-    const taken = new Set(Object.values(room.players).filter(p => p.civId).map(p => p.civId));
-    let ai = 0;
-    const available = civData.civilizations.filter(c => !taken.has(c.id));
-    Object.values(room.players).forEach(p => {
-      if (!p.civId) {
-        const civ = available[ai++ % available.length] || civData.civilizations[0];
-        p.civId = civ.id; p.civName = civ.name; p.civEmoji = civ.emoji;
-      }
-    });
-    gotoRoundStart(room);
-  });
-}
-
-function gotoRoundStart(room) {
-  room.round++;
-  room.speeches = [];
-  room.ratings = {};
-  room.roundScores = {};
-  Object.values(room.players).forEach(p => { room.roundScores[p.id] = 0; });
-
-  room.attackOrder = shuffle(Object.keys(room.players));
-  room.currentAttackerIdx = 0;
-
-  broadcast(room, {
-    type: 'round_start', round: room.round,
-    players: pubPlayers(room),
-    attackOrder: room.attackOrder,
-  });
-
-  setTimeout(() => gotoAttackPrep(room), 2500);
-}
-
-function gotoAttackPrep(room) {
-  // Пропустити гравців що від'єднались
-  while (room.currentAttackerIdx < room.attackOrder.length &&
-         !room.players[room.attackOrder[room.currentAttackerIdx]]) {
-    room.currentAttackerIdx++;
-  }
-
-  if (room.currentAttackerIdx >= room.attackOrder.length) {
-    gotoRating(room);
+// GET /api/games — архів завершених ігор; /api/games/<id> — повний запис із журналом
+// подій для replay.html, з ?download=1 — як файл
+function serveGames(req, res) {
+  const { pathname, query } = url.parse(req.url, true);
+  const id = pathname.split('/')[3];
+  if (!id) {
+    store.listGames().then(games => sendJson(res, 200, { games }))
+      .catch(err => sendJson(res, 500, { code: 'storage', msg: err.message }));
     return;
   }
-
-  room.phase = PHASES.ATTACK_PREP;
-  const attackerId = room.attackOrder[room.currentAttackerIdx];
-  const attacker = room.players[attackerId];
-  const diff = getDeckDifficulty(room.round);
-  const cards = pickFallacies(5, diff);
-
-  const targets = Object.values(room.players)
-    .filter(p => p.id !== attackerId)
-    .map(p => ({ id: p.id, name: p.name, color: p.color, civId: p.civId, civName: p.civName, civEmoji: p.civEmoji }));
-
-  room.currentAttack = { attackerId, defenderId: null, factId: null, fallacyId: null, attackerCards: cards, defenderCards: null };
-
-  // Для кожної цілі — факти конфронтації з атакуючим
-  const factsPreview = targets.reduce((acc, t) => {
-    if (!attacker.civId || !t.civId) {
-      acc[t.id] = [];
-    } else {
-      acc[t.id] = getConfrontationFacts(attacker.civId, t.civId)
-        .map(f => ({ id: f.id, title: f.title }));
-    }
-    return acc;
-  }, {});
-
-  console.log(`[Attack] ${attacker.name}(${attacker.civId}) vs targets: ${targets.map(t=>`${t.name}(${t.civId}):${factsPreview[t.id]?.length||0}facts`).join(', ')}`);
-
-  broadcast(room, {
-    type: 'phase', phase: room.phase,
-    attackerId, attackerName: attacker.name,
-    attackerCivEmoji: attacker.civEmoji, attackerCivName: attacker.civName,
-    players: pubPlayers(room),
-    attackIndex: room.currentAttackerIdx + 1,
-    attackTotal: room.attackOrder.length,
-  });
-
-  // Тільки атакуючому — картки і цілі з попереднім переглядом фактів
-  sendTo(attacker.ws, {
-    type: 'your_attack_turn',
-    cards,
-    targets,
-    factsPreview,
-  });
-
-  startTimer(room, 60, () => {
-    // Автовибір якщо не встиг
-    if (!room.currentAttack.defenderId && targets.length > 0) {
-      const t = targets[0];
-      const facts = getConfrontationFacts(attacker.civId, t.civId);
-      room.currentAttack.defenderId = t.id;
-      room.currentAttack.factId = facts[0]?.id || null;
-      room.currentAttack.fallacyId = cards[0]?.id || null;
-    }
-    gotoDefense(room);
-  });
+  store.getGame(id).then(record => {
+    if (!record) { sendJson(res, 404, apiError('not_found')); return; }
+    if (query.download) res.setHeader('Content-Disposition', `attachment; filename="fallacymania-${record.id}.json"`);
+    sendJson(res, 200, record);
+  }).catch(err => sendJson(res, 500, { code: 'storage', msg: err.message }));
 }
 
-function gotoDefense(room) {
-  room.phase = PHASES.DEFENSE;
-  room.defenseChoice = null;
-  room.cancelVotes = {};
-
-  const { attackerId, defenderId, factId, fallacyId, attackerCards } = room.currentAttack;
-  const attacker = room.players[attackerId];
-  const defender = room.players[defenderId];
-
-  if (!attacker || !defender) { advanceAttack(room); return; }
-
-  const allFacts = getConfrontationFacts(attacker.civId, defender.civId);
-  const fact = allFacts.find(f => f.id === factId) || allFacts[0] || null;
-  // FIX: fallacyId може бути string з клієнта — порівнюємо через Number()
-  const usedFallacy = fallacies.find(f => f.id === Number(fallacyId)) || null;
-
-  const diff = getDeckDifficulty(room.round);
-  const defenderCards = pickFallacies(5, diff);
-  room.currentAttack.defenderCards = defenderCards;
-
-  // FIX: зберігаємо виступ АТАКУЮЧОГО в speeches
-  room.speeches.push({
-    playerId: attackerId,
-    role: 'attack',
-    civEmoji: attacker.civEmoji || '⚔️',
-    civName: attacker.civName || '',
-    playerName: attacker.name,
-    fallacyName: usedFallacy?.name || null,
-    fallacyId: Number(fallacyId),
-    factTitle: fact?.title || null,
-    targetName: defender.name,
-    targetCivEmoji: defender.civEmoji || '',
-  });
-
-  broadcast(room, {
-    type: 'phase', phase: room.phase,
-    attackerId, attackerName: attacker.name,
-    attackerCivEmoji: attacker.civEmoji, attackerCivName: attacker.civName,
-    defenderId, defenderName: defender.name,
-    defenderCivEmoji: defender.civEmoji, defenderCivName: defender.civName,
-    fact: fact ? { id: fact.id, title: fact.title, body: fact.body, attacker_angle: fact.attacker_angle } : null,
-    usedFallacy: usedFallacy ? { id: usedFallacy.id, name: usedFallacy.name, desc: usedFallacy.desc } : null,
-    players: pubPlayers(room),
-  });
-
-  // Тільки захиснику — його картки і підказка захисту
-  sendTo(defender.ws, {
-    type: 'your_defense_turn',
-    cards: defenderCards,
-    fact: fact ? {
-      id: fact.id, title: fact.title, body: fact.body,
-      defender_angle: fact.defender_angle,
-      attacker_angle: fact.attacker_angle,
-    } : null,
-  });
-
-  startTimer(room, 30, () => {
-    if (!room.defenseChoice) {
-      room.defenseChoice = 'silence';
-      room.roundScores[defenderId] = (room.roundScores[defenderId] || 0) - 1;
-      broadcast(room, { type: 'defense_result', choice: 'silence', defenderId });
-      setTimeout(() => advanceAttack(room), 2000);
-    }
+// GET /api/stats — статистика софізмів і гравців за всіма архівними іграми;
+// /api/stats.csv?table=fallacies|tags|difficulties|players|progress — таблиця для експорту
+async function serveStats(req, res) {
+  const { pathname, query } = url.parse(req.url, true);
+  const records = await store.allGames();
+  const stats = gameStats(records);
+  if (pathname === '/api/stats') { sendJson(res, 200, stats); return; }
+  const csv = toCsv(stats, query.table || 'fallacies');
+  if (!csv) { sendJson(res, 400, apiError('unknown_table')); return; }
+  res.writeHead(200, {
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="fallacymania-${query.table || 'fallacies'}.csv"`,
   });
+  // BOM — щоб Excel відкрив кирилицю без ручного вибору кодування
+  res.end('\uFEFF' + csv);
 }
 
-function gotoCancelVote(room) {
-  room.phase = PHASES.CANCEL_VOTE;
-  const { defenderId } = room.currentAttack;
-  const defender = room.players[defenderId];
-
-  broadcast(room, {
-    type: 'phase', phase: room.phase,
-    defenderId,
-    defenderName: defender?.name || '?',
-    defenderCivEmoji: defender?.civEmoji || '🛡️',
-    defenderCivName: defender?.civName || '',
-  });
-
-  startTimer(room, 20, () => tallyCancel(room));
-}
+// GET /admin/rooms/<code> — повний стан кімнати без секретів, щоб розібратися із
+// завислою грою. Лише з ADMIN_TOKEN (Authorization: Bearer … або ?token=); без
+// нього в оточенні маршруту немає
+const sameToken = (a, b) => {
+  const hash = v => crypto.createHash('sha256').update(String(v)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+};
 
-function tallyCancel(room) {
-  const { defenderId } = room.currentAttack;
-  const cancelCount = Object.values(room.cancelVotes).filter(v => v === 'cancel').length;
-  const totalVoters = Object.keys(room.players).length - 1;
-  const cancelled = cancelCount > totalVoters / 2;
-
-  if (cancelled) {
-    room.roundScores[defenderId] = (room.roundScores[defenderId] || 0) - 4;
-  } else {
-    room.roundScores[defenderId] = (room.roundScores[defenderId] || 0) + 3;
-    // Атакуючий теж отримує бал за успішну атаку
-    room.roundScores[room.currentAttack.attackerId] = (room.roundScores[room.currentAttack.attackerId] || 0) + 2;
+function serveAdminRoom(req, res) {
+  const { pathname, query } = url.parse(req.url, true);
+  if (!process.env.ADMIN_TOKEN) { sendJson(res, 404, apiError('not_found')); return; }
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1];
+  if (!sameToken(bearer || query.token || '', process.env.ADMIN_TOKEN)) {
+    logger.warn('[Admin] відмовлено', { path: pathname, ip: req.socket.remoteAddress });
+    sendJson(res, 403, apiError('admin_only'));
+    return;
   }
-
-  broadcast(room, { type: 'cancel_result', cancelled, defenderId, cancelCount, totalVoters });
-  setTimeout(() => advanceAttack(room), 3000);
-}
-
-function advanceAttack(room) {
-  room.currentAttackerIdx++;
-  setTimeout(() => gotoAttackPrep(room), 2000);
+  const code = decodeURIComponent(pathname.split('/')[3] || '').toUpperCase();
+  router.dumpRoom(code).then(room => {
+    logger.log(`[Admin] стан кімнати ${code}`, { room: code, ip: req.socket.remoteAddress });
+    if (room === undefined) sendJson(res, 503, apiError('unavailable'));
+    else if (!room) sendJson(res, 404, apiError('room_not_found'));
+    else sendJson(res, 200, room);
+  }).catch(err => sendJson(res, 500, { code: 'bus', msg: err.message }));
 }
 
-function gotoRating(room) {
-  room.phase = PHASES.RATING;
-  const n = Object.keys(room.players).length;
-  const topCount = n >= 6 ? 3 : n >= 4 ? 2 : 1;
-
-  broadcast(room, {
-    type: 'phase', phase: room.phase,
-    speeches: room.speeches,
-    topCount,
-    players: pubPlayers(room),
-  });
-
-  startTimer(room, 45, () => tallyRatings(room));
-}
-
-function tallyRatings(room) {
-  const pts = [5, 3, 1];
-  const n = Object.keys(room.players).length;
-  const topCount = n >= 6 ? 3 : n >= 4 ? 2 : 1;
-
-  Object.values(room.ratings).forEach(ranked => {
-    ranked.slice(0, topCount).forEach((pid, i) => {
-      room.roundScores[pid] = (room.roundScores[pid] || 0) + (pts[i] || 1);
-    });
+// GET /debug — стан екземпляра і його кімнат для операторів. Коди кімнат видно
+// лише з ?token=DEBUG_TOKEN: інакше за ними можна було б зайти в чужу гру
+function serveDebug(req, res) {
+  const { query } = url.parse(req.url, true);
+  const showCodes = !!process.env.DEBUG_TOKEN && query.token === process.env.DEBUG_TOKEN;
+  const rooms = engine.listRooms().map(r => (showCodes ? r : { ...r, code: r.code.slice(0, 1) + '***' }));
+  sendJson(res, 200, {
+    status: 'ok', instance: router.instanceId, uptime: Math.floor(process.uptime()) + 's',
+    rooms: rooms.length, maxRooms: engine.maxRooms, list: rooms,
   });
-
-  Object.values(room.players).forEach(p => {
-    p.score = (p.score || 0) + (room.roundScores[p.id] || 0);
-  });
-
-  broadcast(room, { type: 'rating_result', roundScores: room.roundScores, players: pubPlayers(room) });
-  setTimeout(() => gotoMap(room), 3000);
 }
 
-function gotoMap(room) {
-  room.phase = PHASES.MAP;
-  if (!room.map) room.map = initMap(Object.keys(room.players));
-
-  broadcast(room, {
-    type: 'phase', phase: room.phase,
-    map: room.map, roundScores: room.roundScores,
-    players: pubPlayers(room),
-  });
-
-  Object.values(room.players).forEach(p => {
-    sendTo(p.ws, {
-      type: 'map_turn',
-      capturePoints: Math.max(0, room.roundScores[p.id] || 0),
-      map: room.map, players: pubPlayers(room),
-    });
+const server = http.createServer((req, res) => {
+  const pathname = url.parse(req.url).pathname;
+  if (pathname === '/api/packs' && req.method === 'POST') { uploadPack(req, res); return; }
+  if (/^\/api\/games(\/|$)/.test(pathname) && req.method === 'GET') { serveGames(req, res); return; }
+  if ((pathname === '/api/stats' || pathname === '/api/stats.csv') && req.method === 'GET') {
+    serveStats(req, res).catch(err => sendJson(res, 500, { code: 'storage', msg: err.message }));
+    return;
+  }
+  if (pathname === '/debug') { serveDebug(req, res); return; }
+  if (pathname === '/metrics' && req.method === 'GET') { serveMetrics(req, res); return; }
+  if (/^\/admin\/rooms\/[^/]+$/.test(pathname) && req.method === 'GET') { serveAdminRoom(req, res); return; }
+  // «..» у шляху (curl --path-as-is) вивів би за межі public/ — такого файлу для нас немає
+  const filePath = path.resolve(PUBLIC_DIR, '.' + (pathname === '/' ? '/index.html' : pathname));
+  if (!filePath.startsWith(PUBLIC_DIR + path.sep)) { res.writeHead(404); res.end('Not found: ' + pathname); return; }
+  const mime = { '.html':'text/html', '.js':'application/javascript', '.css':'text/css', '.json':'application/json' };
+  fs.readFile(filePath, (err, data) => {
+    if (err) { res.writeHead(404); res.end('Not found: ' + pathname); return; }
+    res.writeHead(200, { 'Content-Type': mime[path.extname(filePath)] || 'text/plain' });
+    res.end(data);
   });
+});
 
-  startTimer(room, 45, () => gotoRoundEnd(room));
-}
-
-function applyCapture(room, playerId, cellIds) {
-  let pts = room.roundScores[playerId] || 0;
-  let used = 0;
-  cellIds.forEach(cid => {
-    if (used >= pts) return;
-    if (!isAdjacentHex(room.map, cid, playerId)) return;
-    const cell = room.map.cells.find(c => c.id === cid);
-    if (cell && cell.owner !== playerId) { cell.owner = playerId; used++; }
-  });
-  room.roundScores[playerId] = pts - used;
-  broadcast(room, { type: 'map_update', map: room.map });
-}
+// ─── WEBSOCKET ────────────────────────────────────────────────────────────────
+// Тонкий шар над рушієм: кожен сокет отримує id з'єднання, повідомлення
+// йдуть через роутер у рушій власника кімнати, а події 'send' / 'close'
+// повертаються в сокети.
+// Тут же — межі, які стосуються саме сокета: розмір повідомлення і частота.
 
-function gotoRoundEnd(room) {
-  room.phase = PHASES.ROUND_END;
-  broadcast(room, {
-    type: 'phase', phase: room.phase,
-    players: pubPlayers(room), map: room.map,
-  });
-}
+// Все, що значно більше за ліміт, ws обриває сам (код 1009)
+const wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_MESSAGE_BYTES * 4 });
+const sockets = new Map(); // connId -> ws
+let nextConnId = 1;
 
-// ─── WEBSOCKET ────────────────────────────────────────────────────────────────
-const wss = new WebSocket.Server({ noServer: true });
 server.on('upgrade', (req, socket, head) => {
-  console.log('[WS] upgrade:', req.url);
   wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
 });
 
 wss.on('connection', (ws, req) => {
-  console.log('[WS] new connection');
+  const connId = String(nextConnId++);
+  const allow = createRateLimiter();
+  let throttled = false;
+  sockets.set(connId, ws);
+  logger.log('[WS] нове з\'єднання', { connId, path: req.url, ip: req.socket.remoteAddress });
+
+  const reject = code => {
+    logger.warn(`[WS] ${code}`, { connId, code });
+    metrics.errors.inc({ code });
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'error', ...apiError(code) }));
+  };
 
   ws.on('message', raw => {
-    let msg; try { msg = JSON.parse(raw); } catch { return; }
-    const { type } = msg;
-
-    if (type === 'create_room') {
-      const code = Math.random().toString(36).slice(2, 6).toUpperCase();
-      rooms[code] = createRoom(code);
-      rooms[code].host = { ws };
-      ws.roomCode = code; ws.role = 'host';
-      sendTo(ws, { type: 'room_created', code });
+    // Про перевищення ліміту кажемо один раз, решту мовчки відкидаємо
+    if (!allow()) {
+      if (!throttled) reject('rate_limited');
+      throttled = true;
       return;
     }
+    throttled = false;
+    if (raw.length > MAX_MESSAGE_BYTES) { reject('too_large'); return; }
+    let msg; try { msg = JSON.parse(raw); } catch { reject('bad_json'); return; }
+    metrics.messages.inc({ type: Object.hasOwn(SCHEMAS, msg?.type) ? msg.type : 'unknown' });
+    router.handle(connId, msg);
+  });
 
-    if (type === 'join_room') {
-      const room = rooms[msg.code];
-      if (!room) { sendTo(ws, { type: 'error', msg: 'Кімнату не знайдено' }); return; }
-      if (room.phase !== PHASES.LOBBY) { sendTo(ws, { type: 'error', msg: 'Гра вже йде' }); return; }
-      if (Object.keys(room.players).length >= 8) { sendTo(ws, { type: 'error', msg: 'Кімната повна (макс 8)' }); return; }
-      const id = Math.random().toString(36).slice(2, 8);
-      const color = COLORS[Object.keys(room.players).length % COLORS.length];
-      const name = (msg.name || 'Гравець').slice(0, 20);
-      room.players[id] = { id, name, color, score: 0, ws, civId: null, civName: null, civEmoji: null };
-      ws.roomCode = msg.code; ws.playerId = id; ws.role = 'player';
-      sendTo(ws, { type: 'joined', playerId: id, color, name });
-      broadcast(room, { type: 'player_joined', players: pubPlayers(room) });
-      return;
-    }
+  ws.on('close', code => {
+    sockets.delete(connId);
+    logger.log('[WS] з\'єднання закрито', { connId, code });
+    router.disconnect(connId);
+  });
+});
 
-    const room = ws.roomCode ? rooms[ws.roomCode] : null;
-    if (!room) return;
-
-    // HOST ACTIONS
-    if (ws.role === 'host') {
-      if (type === 'start_game') {
-        if (Object.keys(room.players).length < 2) { sendTo(ws, { type: 'error', msg: 'Потрібно мінімум 2 гравці' }); return; }
-        gotoCivSelect(room);
-      }
-      if (type === 'next_phase') {
-        clearTimeout(room.timer);
-        const p = room.phase;
-        if (p === PHASES.CIV_SELECT) gotoRoundStart(room);
-        else if (p === PHASES.ATTACK_PREP) {
-          // Автовибір першої доступної цілі якщо не вибрав
-          const atk = room.currentAttack;
-          if (!atk.defenderId) {
-            const targets = Object.values(room.players).filter(pl => pl.id !== atk.attackerId);
-            if (targets.length > 0) {
-              const t = targets[0];
-              const facts = getConfrontationFacts(room.players[atk.attackerId]?.civId, t.civId);
-              atk.defenderId = t.id; atk.factId = facts[0]?.id || null;
-              atk.fallacyId = atk.attackerCards[0]?.id || null;
-            }
-          }
-          gotoDefense(room);
-        }
-        else if (p === PHASES.DEFENSE) {
-          if (!room.defenseChoice) {
-            room.defenseChoice = 'silence';
-            room.roundScores[room.currentAttack.defenderId] = (room.roundScores[room.currentAttack.defenderId]||0) - 1;
-            broadcast(room, { type: 'defense_result', choice: 'silence', defenderId: room.currentAttack.defenderId });
-          }
-          setTimeout(() => advanceAttack(room), 500);
-        }
-        else if (p === PHASES.CANCEL_VOTE) tallyCancel(room);
-        else if (p === PHASES.RATING) tallyRatings(room);
-        else if (p === PHASES.MAP) gotoRoundEnd(room);
-        else if (p === PHASES.ROUND_END) gotoRoundStart(room);
-      }
-      return;
-    }
+router.on('send', (connId, msg) => {
+  const ws = sockets.get(connId);
+  if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+});
 
-    // PLAYER ACTIONS
-    if (ws.role !== 'player') return;
-    const pid = ws.playerId;
-
-    if (type === 'choose_civ' && room.phase === PHASES.CIV_SELECT) {
-      const civ = civData.civilizations.find(c => c.id === msg.civId);
-      if (!civ) return;
-      if (Object.values(room.players).some(p => p.id !== pid && p.civId === msg.civId)) {
-        sendTo(ws, { type: 'error', msg: 'Цю цивілізацію вже обрали' }); return;
-      }
-      const p = room.players[pid];
-      p.civId = civ.id; p.civName = civ.name; p.civEmoji = civ.emoji;
-      sendTo(ws, { type: 'civ_chosen', civ });
-      broadcast(room, { type: 'civ_update', players: pubPlayers(room) });
-      if (Object.values(room.players).every(p => p.civId)) {
-        clearTimeout(room.timer); gotoRoundStart(room);
-      }
-      return;
-    }
+router.on('close', connId => sockets.get(connId)?.close());
 
-    if (type === 'choose_attack' && room.phase === PHASES.ATTACK_PREP) {
-      if (room.currentAttack?.attackerId !== pid) return;
-      room.currentAttack.defenderId = msg.defenderId;
-      room.currentAttack.factId = msg.factId;
-      // FIX: нормалізуємо до Number
-      room.currentAttack.fallacyId = Number(msg.fallacyId);
-      clearTimeout(room.timer);
-      gotoDefense(room);
-      return;
-    }
+// ─── METRICS ──────────────────────────────────────────────────────────────────
+// GET /metrics — для Prometheus. Кожен екземпляр рахує своє: кімнати, якими
+// володіє, і сокети, підключені саме до нього; сумувати — на боці Prometheus.
 
-    if (type === 'defense_choice' && room.phase === PHASES.DEFENSE) {
-      if (room.currentAttack?.defenderId !== pid || room.defenseChoice) return;
-      room.defenseChoice = msg.choice;
-
-      if (msg.choice === 'silence') {
-        clearTimeout(room.timer);
-        room.roundScores[pid] = (room.roundScores[pid] || 0) - 1;
-        broadcast(room, { type: 'defense_result', choice: 'silence', defenderId: pid });
-        setTimeout(() => advanceAttack(room), 2000);
-      } else {
-        // 'speak' — зберігаємо виступ захисника і переходимо до cancel
-        clearTimeout(room.timer);
-        const defender = room.players[pid];
-        // FIX: нормалізуємо fallacyId до Number
-        const fallacyId = Number(msg.fallacyId);
-        const fallacy = fallacies.find(f => f.id === fallacyId) || null;
-        room.speeches.push({
-          playerId: pid,
-          role: 'defense',
-          civEmoji: defender.civEmoji || '🛡️',
-          civName: defender.civName || '',
-          playerName: defender.name,
-          fallacyName: fallacy?.name || null,
-          fallacyId,
-        });
-        broadcast(room, { type: 'defense_result', choice: 'speak', defenderId: pid });
-        setTimeout(() => gotoCancelVote(room), 1500);
-      }
-      return;
-    }
+const metrics = (() => {
+  const m = createMetrics();
+  m.gauge('fallacymania_rooms', 'Активні кімнати за фазою', () => {
+    const byPhase = {};
+    Object.values(engine.rooms).forEach(r => { byPhase[r.phase] = (byPhase[r.phase] || 0) + 1; });
+    return Object.entries(byPhase).map(([phase, n]) => [{ phase }, n]);
+  });
+  m.gauge('fallacymania_sockets', 'Підключені WebSocket-з\'єднання', () => sockets.size);
+  return {
+    render: m.render,
+    messages: m.counter('fallacymania_messages_total', 'Повідомлення клієнтів за типом'),
+    errors: m.counter('fallacymania_client_errors_total', 'Помилки, надіслані клієнтам, за кодом'),
+    phases: m.histogram('fallacymania_phase_duration_seconds', 'Тривалість фаз гри, секунди'),
+    disconnects: m.counter('fallacymania_disconnects_total', 'Відключення ведучого чи гравця посеред гри, за фазою'),
+    timeouts: m.counter('fallacymania_timer_resolutions_total', 'Фази, які завершив таймер, а не гравці'),
+  };
+})();
 
-    if (type === 'cancel_vote' && room.phase === PHASES.CANCEL_VOTE) {
-      if (pid === room.currentAttack?.defenderId) return; // захисник не голосує
-      if (room.cancelVotes[pid]) return; // вже голосував
-      room.cancelVotes[pid] = msg.vote; // 'cancel' | 'ok'
-      broadcast(room, { type: 'cancel_vote_update', votes: Object.keys(room.cancelVotes).length,
-        total: Object.keys(room.players).length - 1 });
-      if (Object.keys(room.cancelVotes).length >= Object.keys(room.players).length - 1) {
-        clearTimeout(room.timer); tallyCancel(room);
-      }
-      return;
-    }
+engine.on('phase', (room, prev) => { if (prev) metrics.phases.observe({ phase: prev.phase }, prev.ms / 1000); });
+engine.on('timeout', (room, phase) => metrics.timeouts.inc({ phase }));
+engine.on('disconnected', (room, { role, phase }) => metrics.disconnects.inc({ role, phase }));
+engine.on('client_error', (room, code) => metrics.errors.inc({ code }));
 
-    if (type === 'submit_rating' && room.phase === PHASES.RATING) {
-      if (room.ratings[pid]) return;
-      room.ratings[pid] = msg.ranked; // [playerId, ...]
-      broadcast(room, { type: 'rating_update', submitted: Object.keys(room.ratings).length,
-        total: Object.keys(room.players).length });
-      if (Object.keys(room.ratings).length >= Object.keys(room.players).length) {
-        clearTimeout(room.timer); tallyRatings(room);
-      }
-      return;
-    }
+function serveMetrics(req, res) {
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+  res.end(metrics.render());
+}
 
-    if (type === 'capture' && room.phase === PHASES.MAP) {
-      applyCapture(room, pid, msg.cellIds);
-      return;
-    }
+// ─── PERSISTENCE ──────────────────────────────────────────────────────────────
+// Знімок кімнати пишемо на кожному переході фази; після рестарту кімнати
+// піднімаються зі сховища, а гравці й ведучий повертаються через resume/reclaim.
+// Якщо сховище спільне для кількох екземплярів, кожну кімнату відновлює той,
+// кому першим дістався її код у реєстрі.
+
+const pendingSaves = new Set();
+
+// Зберігаємо в кінці поточного кроку — коли фаза вже встигла запустити таймер
+engine.on('changed', room => {
+  if (pendingSaves.has(room.code)) return;
+  pendingSaves.add(room.code);
+  setImmediate(() => {
+    pendingSaves.delete(room.code);
+    if (room.closed) return;
+    store.saveRoom(room.code, engine.serializeRoom(room))
+      .catch(err => logger.error(`[Storage] ${room.code}:`, err.message, { room: room.code, phase: room.phase }));
   });
+});
 
-  ws.on('close', () => {
-    const room = ws.roomCode ? rooms[ws.roomCode] : null;
-    if (!room || ws.role !== 'player') return;
-    delete room.players[ws.playerId];
-    broadcast(room, { type: 'player_left', players: pubPlayers(room) });
-  });
+engine.on('room_closed', code => {
+  store.deleteRoom(code).catch(err => logger.error(`[Storage] ${code}:`, err.message, { room: code }));
+});
+
+engine.on('game_over', record => {
+  store.archiveGame(record).catch(err => logger.error(`[Storage] архів ${record.code}:`, err.message, { room: record.code }));
 });
 
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, '0.0.0.0', () => console.log(`FallacyMania running on port ${PORT}`));
\ No newline at end of file
+store.loadRooms()
+  .then(async snaps => {
+    const mine = [];
+    for (const snap of snaps) if (await router.adopt(snap.code)) mine.push(snap);
+    mine.forEach(engine.restoreRoom);
+    if (mine.length) logger.log(`[Storage] відновлено кімнат: ${mine.length}`, { rooms: mine.map(s => s.code) });
+  })
+  .catch(err => logger.error('[Storage] не вдалося відновити кімнати:', err.message))
+  .then(() => server.listen(PORT, '0.0.0.0', () => logger.log(`FallacyMania running on port ${PORT}`, { port: Number(PORT) })));
@@ -0,0 +1,344 @@
+const { t } = require('./i18n');
+
+// ─── ROOM SETTINGS ───────────────────────────────────────────────────────────
+// Правила гри, які ведучий може змінити в лобі. Значення за замовчуванням
+// відповідають класичній грі; пресети — готові набори для різних компаній
+// (назви — preset.<id> у каталогах public/i18n/).
+
+const DEFAULT_SETTINGS = {
+  mode: 'campaign',    // 'campaign' — битва цивілізацій; 'debate' — захист тез з topics.json
+  timers: {            // секунди на кожну фазу
+    civSelect:   45,
+    attackPrep:  60,
+    defense:     30,
+    cancelVote:  20,
+    quiz:        20,   // вікторина: вгадування софізму, якщо захисник промовчав
+    topicSelect: 30,   // дебати: вибір тези
+    cards:       60,   // дебати: вивчення карток
+    speech:      60,   // дебати: виступ одного гравця
+    rating:      45,
+    map:         45,
+  },
+  handSize: 5,         // скільки карток-софізмів отримує гравець
+  discards: 2,         // скільки карток за раунд гравець може скинути й добрати замість них нові
+  maxPlayers: 8,
+  difficultyRamp: [2, 2, 3, 3, 4], // макс. складність колоди в раунді N; далі — останнє значення
+  scoring: {
+    silence:       -1, // захисник промовчав
+    cancelled:     -4, // захист скасовано голосуванням
+    defended:       3, // захист прийнято
+    attackSuccess:  2, // атакуючий, чий опонент не відбився
+    ratingPoints: [5, 3, 1], // бали за 1, 2, 3 місце в рейтингу
+  },
+  victory: {           // 0 — умова вимкнена; гра закінчується, щойно спрацює будь-яка
+    maxRounds:     5,  // фіксована кількість раундів
+    dominationPct: 0,  // частка карти (%), яку треба захопити
+    scoreTarget:   0,  // сумарні очки для перемоги
+  },
+  audience: {          // глядачі
+    votes:  true,      // чи можуть голосувати в cancel і рейтингу
+    weight: 0,         // бонус від вердикту глядачів; 0 — голоси лише показуються
+  },
+  map: {               // карта
+    terrain:     true, // ліс і гори дорожчі за рівнину; false — уся карта рівнина
+    enemyCost:   1,    // надбавка за клітинку суперника; відрізана від його столиці — без неї
+    regionCells: 5,    // у кінці раунду +1 бал за кожні N клітинок найбільшої області; 0 — вимкнено
+  },
+  quiz: {              // вікторина (лише кампанія): картку атаки приховано, слухачі вгадують софізм
+    enabled: false,
+    options: 4,        // скільки варіантів відповіді, разом із правильним; 0 — усі картки набору
+    points:  2,        // бали за правильну відповідь
+  },
+  counters: {          // контркартки (лише кампанія): картка захисту, що відбиває картку атаки (поле counters)
+    enabled:   true,
+    bonus:     2,      // бали захиснику, якщо контрзахист не скасували
+    threshold: 75,     // скільки % голосів потрібно, щоб скасувати контрзахист; звичайний — більшість
+  },
+  civs: {              // кампанія: правила цивілізацій і фактів з civilizations.json
+    abilities: true,   // пасивні вміння цивілізацій (поле ability)
+    severity:  true,   // ставки атаки за тяжкістю факту (розділ severity)
+  },
+  remote: {            // віддалена гра: аргументи друкують, а не кажуть уголос
+    enabled:   false,
+    maxChars:  500,    // найдовший аргумент
+    extraTime: 60,     // секунд понад таймери атаки, захисту й виступу — на набір тексту
+    showCards: false,  // під час голосування cancel показувати картки поруч з аргументами
+  },
+  teams: {             // командна гра: тіммейтів не атакують, карта й очки захоплення спільні
+    count:     0,      // скільки команд; 0 — кожен сам за себе
+    sharedCiv: true,   // true — одна цивілізація на команду; false — союз різних цивілізацій
+  },
+  topics: {            // дебати: які тези пропонувати
+    categories:    [], // порожньо — усі категорії
+    maxDifficulty: 4,  // найскладніша теза; у раунді N діє ще й difficultyRamp
+    choices:       3,  // скільки тез на вибір отримує кожен гравець
+  },
+};
+
+const MODES = ['campaign', 'debate'];
+
+const PRESETS = {
+  standard: {
+    settings: {},
+  },
+  quick_party: {
+    settings: {
+      timers: { civSelect: 30, attackPrep: 40, defense: 20, cancelVote: 15, rating: 30, map: 30 },
+      handSize: 4,
+      difficultyRamp: [2, 3, 4],
+      victory: { maxRounds: 3 },
+    },
+  },
+  classroom_debate: {
+    settings: {
+      timers: { civSelect: 60, attackPrep: 90, defense: 45, cancelVote: 30, rating: 60, map: 60 },
+      handSize: 6,
+      difficultyRamp: [1, 2, 2, 3, 3, 4],
+      scoring: { cancelled: -2, defended: 3, attackSuccess: 2 },
+      victory: { maxRounds: 4, dominationPct: 50 },
+    },
+  },
+  remote_team: {
+    settings: {
+      timers: { attackPrep: 60, defense: 45, cancelVote: 45, rating: 60 },
+      remote: { enabled: true },
+    },
+  },
+  classroom_teams: {
+    settings: {
+      timers: { civSelect: 60, attackPrep: 90, defense: 45, cancelVote: 30, rating: 60, map: 60 },
+      difficultyRamp: [1, 2, 2, 3, 3, 4],
+      victory: { maxRounds: 4 },
+      teams: { count: 2 },
+    },
+  },
+  thesis_debate: {
+    settings: {
+      mode: 'debate',
+      timers: { topicSelect: 30, cards: 60, speech: 60, rating: 30 },
+      difficultyRamp: [1, 2, 2, 3, 4],
+      victory: { maxRounds: 3 },
+    },
+  },
+};
+
+const LIMITS = {
+  timer:      [5, 300],
+  handSize:   [1, 10],
+  discards:   [0, 10],
+  maxPlayers: [2, 8],
+  difficulty: [1, 4],
+  score:      [-20, 20],
+  victory: {
+    maxRounds:     [0, 50],
+    dominationPct: [0, 100],
+    scoreTarget:   [0, 500],
+  },
+  audienceWeight: [0, 5],
+  enemyCost:      [0, 5],
+  regionCells:    [0, 50],
+  quizOptions:    [2, 8],  // або 0 — усі картки
+  quizPoints:     [0, 10],
+  counterBonus:   [0, 10],
+  counterThreshold: [51, 100],
+  topicChoices:   [1, 5],
+  maxChars:       [50, 1000],
+  extraTime:      [0, 300],
+  teamCount:      [2, 4],  // або 0 — без команд
+  categories:     20,  // скільки категорій можна вибрати
+};
+
+function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+function isInt(v, [min, max]) {
+  return Number.isInteger(v) && v >= min && v <= max;
+}
+
+// Накладає часткові налаштування на base і перевіряє кожне поле.
+// Повертає { settings, errors }; при помилках settings — незмінений base.
+// Помилка — { field, code, ... }: code — ключ settings_error.<code> у каталогах
+// public/i18n/, решта полів (min, max, …) — підстановки для тексту.
+function validateSettings(input, base = DEFAULT_SETTINGS) {
+  const errors = [];
+  const fail = (field, code, extra) => errors.push({ field, code, ...extra });
+  const range = ([min, max]) => ({ min, max });
+  const out = clone(base);
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { settings: out, errors: [{ field: 'settings', code: 'object' }] };
+  }
+
+  if (input.mode !== undefined) {
+    if (!MODES.includes(input.mode)) fail('mode', 'one_of', { options: MODES.join(', ') });
+    else out.mode = input.mode;
+  }
+
+  if (input.timers !== undefined) {
+    if (!input.timers || typeof input.timers !== 'object') fail('timers', 'object');
+    else Object.entries(input.timers).forEach(([key, v]) => {
+      if (!(key in DEFAULT_SETTINGS.timers)) fail(`timers.${key}`, 'unknown_field');
+      else if (!isInt(v, LIMITS.timer)) fail(`timers.${key}`, 'int', range(LIMITS.timer));
+      else out.timers[key] = v;
+    });
+  }
+
+  ['handSize', 'discards', 'maxPlayers'].forEach(key => {
+    if (input[key] === undefined) return;
+    if (!isInt(input[key], LIMITS[key])) fail(key, 'int', range(LIMITS[key]));
+    else out[key] = input[key];
+  });
+
+  if (input.difficultyRamp !== undefined) {
+    const ramp = input.difficultyRamp;
+    if (!Array.isArray(ramp) || ramp.length === 0 || ramp.length > 20 || !ramp.every(d => isInt(d, LIMITS.difficulty))) {
+      fail('difficultyRamp', 'int_list', { length: 20, ...range(LIMITS.difficulty) });
+    } else out.difficultyRamp = [...ramp];
+  }
+
+  if (input.scoring !== undefined) {
+    if (!input.scoring || typeof input.scoring !== 'object') fail('scoring', 'object');
+    else Object.entries(input.scoring).forEach(([key, v]) => {
+      if (key === 'ratingPoints') {
+        if (!Array.isArray(v) || v.length === 0 || v.length > 5 || !v.every(x => isInt(x, [0, LIMITS.score[1]]))) {
+          fail('scoring.ratingPoints', 'int_list', { length: 5, min: 0, max: LIMITS.score[1] });
+        } else out.scoring.ratingPoints = [...v];
+      } else if (!(key in DEFAULT_SETTINGS.scoring)) fail(`scoring.${key}`, 'unknown_field');
+      else if (!isInt(v, LIMITS.score)) fail(`scoring.${key}`, 'int', range(LIMITS.score));
+      else out.scoring[key] = v;
+    });
+  }
+
+  if (input.victory !== undefined) {
+    if (!input.victory || typeof input.victory !== 'object') fail('victory', 'object');
+    else Object.entries(input.victory).forEach(([key, v]) => {
+      const lim = LIMITS.victory[key];
+      if (!lim) fail(`victory.${key}`, 'unknown_field');
+      else if (!isInt(v, lim)) fail(`victory.${key}`, 'int', range(lim));
+      else out.victory[key] = v;
+    });
+  }
+
+  if (input.audience !== undefined) {
+    if (!input.audience || typeof input.audience !== 'object') fail('audience', 'object');
+    else Object.entries(input.audience).forEach(([key, v]) => {
+      if (key === 'votes') {
+        if (typeof v !== 'boolean') fail('audience.votes', 'boolean');
+        else out.audience.votes = v;
+      } else if (key === 'weight') {
+        if (!isInt(v, LIMITS.audienceWeight)) fail('audience.weight', 'int', range(LIMITS.audienceWeight));
+        else out.audience.weight = v;
+      } else fail(`audience.${key}`, 'unknown_field');
+    });
+  }
+
+  if (input.map !== undefined) {
+    if (!input.map || typeof input.map !== 'object') fail('map', 'object');
+    else Object.entries(input.map).forEach(([key, v]) => {
+      if (key === 'terrain') {
+        if (typeof v !== 'boolean') fail('map.terrain', 'boolean');
+        else out.map.terrain = v;
+      } else if (key === 'enemyCost' || key === 'regionCells') {
+        if (!isInt(v, LIMITS[key])) fail(`map.${key}`, 'int', range(LIMITS[key]));
+        else out.map[key] = v;
+      } else fail(`map.${key}`, 'unknown_field');
+    });
+  }
+
+  if (input.quiz !== undefined) {
+    if (!input.quiz || typeof input.quiz !== 'object') fail('quiz', 'object');
+    else Object.entries(input.quiz).forEach(([key, v]) => {
+      if (key === 'enabled') {
+        if (typeof v !== 'boolean') fail('quiz.enabled', 'boolean');
+        else out.quiz.enabled = v;
+      } else if (key === 'options') {
+        if (v !== 0 && !isInt(v, LIMITS.quizOptions)) fail('quiz.options', 'int_or_zero', range(LIMITS.quizOptions));
+        else out.quiz.options = v;
+      } else if (key === 'points') {
+        if (!isInt(v, LIMITS.quizPoints)) fail('quiz.points', 'int', range(LIMITS.quizPoints));
+        else out.quiz.points = v;
+      } else fail(`quiz.${key}`, 'unknown_field');
+    });
+  }
+
+  if (input.counters !== undefined) {
+    if (!input.counters || typeof input.counters !== 'object') fail('counters', 'object');
+    else Object.entries(input.counters).forEach(([key, v]) => {
+      const lim = { bonus: LIMITS.counterBonus, threshold: LIMITS.counterThreshold }[key];
+      if (key === 'enabled') {
+        if (typeof v !== 'boolean') fail('counters.enabled', 'boolean');
+        else out.counters.enabled = v;
+      } else if (!lim) fail(`counters.${key}`, 'unknown_field');
+      else if (!isInt(v, lim)) fail(`counters.${key}`, 'int', range(lim));
+      else out.counters[key] = v;
+    });
+  }
+
+  if (input.civs !== undefined) {
+    if (!input.civs || typeof input.civs !== 'object') fail('civs', 'object');
+    else Object.entries(input.civs).forEach(([key, v]) => {
+      if (!(key in DEFAULT_SETTINGS.civs)) fail(`civs.${key}`, 'unknown_field');
+      else if (typeof v !== 'boolean') fail(`civs.${key}`, 'boolean');
+      else out.civs[key] = v;
+    });
+  }
+
+  if (input.remote !== undefined) {
+    if (!input.remote || typeof input.remote !== 'object') fail('remote', 'object');
+    else Object.entries(input.remote).forEach(([key, v]) => {
+      if (key === 'enabled' || key === 'showCards') {
+        if (typeof v !== 'boolean') fail(`remote.${key}`, 'boolean');
+        else out.remote[key] = v;
+      } else if (key === 'maxChars' || key === 'extraTime') {
+        if (!isInt(v, LIMITS[key])) fail(`remote.${key}`, 'int', range(LIMITS[key]));
+        else out.remote[key] = v;
+      } else fail(`remote.${key}`, 'unknown_field');
+    });
+  }
+
+  if (input.teams !== undefined) {
+    if (!input.teams || typeof input.teams !== 'object') fail('teams', 'object');
+    else Object.entries(input.teams).forEach(([key, v]) => {
+      if (key === 'count') {
+        if (v !== 0 && !isInt(v, LIMITS.teamCount)) fail('teams.count', 'int_or_zero', range(LIMITS.teamCount));
+        else out.teams.count = v;
+      } else if (key === 'sharedCiv') {
+        if (typeof v !== 'boolean') fail('teams.sharedCiv', 'boolean');
+        else out.teams.sharedCiv = v;
+      } else fail(`teams.${key}`, 'unknown_field');
+    });
+  }
+
+  // Чи існують категорії і чи вистачає тез, перевіряє рушій — він знає зміст
+  if (input.topics !== undefined) {
+    if (!input.topics || typeof input.topics !== 'object') fail('topics', 'object');
+    else Object.entries(input.topics).forEach(([key, v]) => {
+      if (key === 'categories') {
+        if (!Array.isArray(v) || v.length > LIMITS.categories || !v.every(c => typeof c === 'string' && c.length > 0 && c.length <= 40)) {
+          fail('topics.categories', 'name_list', { max: LIMITS.categories });
+        } else out.topics.categories = [...new Set(v)];
+      } else if (key === 'maxDifficulty') {
+        if (!isInt(v, LIMITS.difficulty)) fail('topics.maxDifficulty', 'int', range(LIMITS.difficulty));
+        else out.topics.maxDifficulty = v;
+      } else if (key === 'choices') {
+        if (!isInt(v, LIMITS.topicChoices)) fail('topics.choices', 'int', range(LIMITS.topicChoices));
+        else out.topics.choices = v;
+      } else fail(`topics.${key}`, 'unknown_field');
+    });
+  }
+
+  return errors.length ? { settings: clone(base), errors } : { settings: out, errors };
+}
+
+// Налаштування пресету поверх значень за замовчуванням
+// Лише власні пресети: __proto__ чи constructor з повідомлення — невідомий пресет
+function presetSettings(presetId) {
+  if (!Object.hasOwn(PRESETS, presetId)) return null;
+  return validateSettings(PRESETS[presetId].settings).settings;
+}
+
+function listPresets(locale) {
+  return Object.keys(PRESETS).map(id => ({ id, name: t(locale, `preset.${id}`) }));
+}
+
+module.exports = { DEFAULT_SETTINGS, PRESETS, MODES, validateSettings, presetSettings, listPresets };
@@ -0,0 +1,183 @@
+// ─── STATS ───────────────────────────────────────────────────────────────────
+// Навчальна статистика з архіву завершених ігор: як часто грають кожну картку,
+// як часто її розпізнають, і як гравці вчаться помічати софізми від гри до гри.
+//
+// Картка «спрацювала», якщо гравець, що її зіграв, виграв обмін: атака — захисник
+// змовчав або його захист скасували; захист — його прийняли; теза в дебатах —
+// отримала бали рейтингу. Софізм «помічено», коли гравець голосує cancel проти
+// захисту з софізмом; cancel проти «Зеро» (чесного аргументу) — хибна тривога.
+// У вікторині (settings.quiz) — ще й напряму: чи вгадали приховану картку атаки.
+//
+// Гравців між іграми розрізняємо за ім'ям без урахування регістру — id в кожній
+// кімнаті свій.
+
+const ZERO_ID = 0;
+
+// true / false, або null — якщо результат невідомий (запис старіший за поле outcome)
+function playWon(sp) {
+  if (sp.role === 'thesis') return sp.ratingPoints > 0;
+  if (!sp.outcome) return null;
+  if (sp.role === 'attack') return sp.outcome !== 'defended';
+  return sp.outcome === 'defended';
+}
+
+const rate = (n, d) => (d ? Math.round((n / d) * 100) / 100 : null);
+const playerKey = name => String(name || '?').trim().toLowerCase();
+
+function counter(extra) {
+  return { played: 0, decided: 0, won: 0, defenses: 0, cancelled: 0, guesses: 0, guessed: 0, ...extra };
+}
+
+function countPlay(row, sp) {
+  row.played++;
+  const won = playWon(sp);
+  if (won !== null) { row.decided++; if (won) row.won++; }
+  if (sp.role === 'defense' && sp.outcome) {
+    row.defenses++;
+    if (sp.outcome === 'cancelled') row.cancelled++;
+  }
+}
+
+function finish({ decided, defenses, ...row }) {
+  return { ...row, winRate: rate(row.won, decided), cancelRate: rate(row.cancelled, defenses), guessRate: rate(row.guessed, row.guesses) };
+}
+
+// Голоси cancel з журналу гри: для кожного — чи був у захисті софізм
+function votesOf(record) {
+  const votes = [];
+  let defense = null, pending = [];
+  (record.log || []).forEach(e => {
+    if (e.type === 'defense') { defense = e.choice === 'speak' ? e : null; pending = []; }
+    if (e.type === 'vote') pending.push(e);
+    if (e.type === 'cancel_result' && defense) {
+      pending.forEach(v => votes.push({ playerId: v.playerId, vote: v.vote, sophism: defense.fallacyId !== ZERO_ID && defense.fallacyId != null }));
+      pending = [];
+    }
+  });
+  return votes;
+}
+
+// records — повні записи ігор (storage.allGames); повертає таблиці для /api/stats
+function gameStats(records) {
+  const fallacies = {}, tags = {}, difficulties = {}, players = {};
+
+  [...records].sort((a, b) => a.finishedAt - b.finishedAt).forEach(record => {
+    const names = {};
+    (record.players || []).forEach(p => { names[p.id] = p.name; });
+    (record.log || []).forEach(e => { if (e.type === 'player_left' && e.name) names[e.playerId] = e.name; });
+
+    const games = {};
+    const gameOf = (id, name) => {
+      const key = playerKey(name ?? names[id]);
+      players[key] = players[key] || { name: name ?? names[id] ?? '?', progress: [] };
+      games[key] = games[key] || {
+        gameId: record.id, code: record.code, finishedAt: record.finishedAt,
+        score: null, winner: false, ...counter(), votes: 0, spotted: 0, missed: 0, falseAlarms: 0,
+      };
+      return games[key];
+    };
+    (record.players || []).forEach(p => {
+      // У командній грі перемагають усі учасники команди-переможця
+      const winner = record.winnerTeam ? p.team === record.winnerTeam : p.id === record.winnerId;
+      Object.assign(gameOf(p.id), { score: p.score, winner });
+    });
+
+    (record.speeches || []).forEach(sp => {
+      if (sp.fallacyId == null || !sp.fallacyName) return;
+      const key = `${sp.fallacyId}:${sp.fallacyName}`;
+      fallacies[key] = fallacies[key] || counter({ id: sp.fallacyId, name: sp.fallacyName, tag: sp.tag || null, difficulty: sp.difficulty ?? null });
+      countPlay(fallacies[key], sp);
+      if (sp.tag) countPlay(tags[sp.tag] = tags[sp.tag] || counter({ tag: sp.tag }), sp);
+      if (sp.difficulty != null) countPlay(difficulties[sp.difficulty] = difficulties[sp.difficulty] || counter({ difficulty: sp.difficulty }), sp);
+      countPlay(gameOf(sp.playerId, sp.playerName), sp);
+    });
+
+    // Розкриття вікторини: відповіді всіх, хто вгадував, і правильна картка
+    const byId = {};
+    (record.speeches || []).forEach(sp => { if (sp.role === 'attack') byId[sp.fallacyId] = sp; });
+    (record.log || []).filter(e => e.type === 'quiz').forEach(e => {
+      const sp = byId[e.answerId];
+      const rows = sp ? [fallacies[`${sp.fallacyId}:${sp.fallacyName}`], tags[sp.tag], difficulties[sp.difficulty]].filter(Boolean) : [];
+      Object.entries(e.guesses).forEach(([pid, id]) => {
+        const hit = id === e.answerId ? 1 : 0;
+        rows.forEach(row => { row.guesses++; row.guessed += hit; });
+        const g = gameOf(pid);
+        g.guesses++; g.guessed += hit;
+      });
+    });
+
+    votesOf(record).forEach(v => {
+      const g = gameOf(v.playerId);
+      g.votes++;
+      if (v.sophism) g[v.vote === 'cancel' ? 'spotted' : 'missed']++;
+      else if (v.vote === 'cancel') g.falseAlarms++;
+    });
+
+    Object.entries(games).forEach(([key, g]) => players[key].progress.push(g));
+  });
+
+  const playerRows = Object.values(players).map(({ name, progress }) => {
+    const sum = field => progress.reduce((n, g) => n + g[field], 0);
+    return {
+      name, games: progress.length, wins: progress.filter(g => g.winner).length,
+      played: sum('played'), winRate: rate(sum('won'), sum('decided')),
+      cancelRate: rate(sum('cancelled'), sum('defenses')),
+      votes: sum('votes'), spotRate: rate(sum('spotted'), sum('spotted') + sum('missed')), falseAlarms: sum('falseAlarms'),
+      guesses: sum('guesses'), guessRate: rate(sum('guessed'), sum('guesses')),
+      progress: progress.map(({ decided, defenses, won, cancelled, guessed, ...g }) => ({
+        ...g, winRate: rate(won, decided), cancelRate: rate(cancelled, defenses), spotRate: rate(g.spotted, g.spotted + g.missed),
+        guessRate: rate(guessed, g.guesses),
+      })),
+    };
+  });
+
+  return {
+    games: records.length,
+    fallacies: Object.values(fallacies).map(finish).sort((a, b) => b.played - a.played),
+    tags: Object.values(tags).map(finish).sort((a, b) => b.played - a.played),
+    difficulties: Object.values(difficulties).map(finish).sort((a, b) => a.difficulty - b.difficulty),
+    players: playerRows.sort((a, b) => b.games - a.games || a.name.localeCompare(b.name)),
+  };
+}
+
+// ─── CSV ─────────────────────────────────────────────────────────────────────
+// Колонки кожної таблиці для експорту: [поле, заголовок]. progress — рядок на
+// кожну гру кожного гравця.
+
+const CSV_TABLES = {
+  fallacies: [['id', 'id'], ['name', 'Софізм'], ['tag', 'Тег'], ['difficulty', 'Складність'], ['played', 'Зіграно'],
+    ['won', 'Спрацювало'], ['winRate', 'Частка успіху'], ['cancelled', 'Скасовано'], ['cancelRate', 'Частка скасувань'],
+    ['guesses', 'Відповідей у вікторині'], ['guessRate', 'Вгадано']],
+  tags: [['tag', 'Тег'], ['played', 'Зіграно'], ['won', 'Спрацювало'], ['winRate', 'Частка успіху'],
+    ['cancelled', 'Скасовано'], ['cancelRate', 'Частка скасувань'], ['guesses', 'Відповідей у вікторині'], ['guessRate', 'Вгадано']],
+  difficulties: [['difficulty', 'Складність'], ['played', 'Зіграно'], ['won', 'Спрацювало'], ['winRate', 'Частка успіху'],
+    ['cancelled', 'Скасовано'], ['cancelRate', 'Частка скасувань'], ['guesses', 'Відповідей у вікторині'], ['guessRate', 'Вгадано']],
+  players: [['name', 'Гравець'], ['games', 'Ігор'], ['wins', 'Перемог'], ['played', 'Карток зіграно'], ['winRate', 'Частка успіху'],
+    ['cancelRate', 'Частка скасованих захистів'], ['votes', 'Голосів'], ['spotRate', 'Помічено софізмів'], ['falseAlarms', 'Хибні тривоги'],
+    ['guesses', 'Відповідей у вікторині'], ['guessRate', 'Вгадано']],
+  progress: [['name', 'Гравець'], ['gameId', 'Гра'], ['finishedAt', 'Дата'], ['score', 'Очки'], ['winner', 'Переможець'],
+    ['played', 'Карток зіграно'], ['winRate', 'Частка успіху'], ['votes', 'Голосів'], ['spotRate', 'Помічено софізмів'], ['falseAlarms', 'Хибні тривоги'],
+    ['guesses', 'Відповідей у вікторині'], ['guessRate', 'Вгадано']],
+};
+
+// Текст, що починається з =, +, -, @, табуляції чи CR, Excel і LibreOffice
+// виконують як формулу — імена гравців і назви з наборів пишуть люди, тож
+// такий текст екрануємо апострофом. Числа (і від'ємні очки) лишаються числами.
+function csvCell(v) {
+  let s = v == null ? '' : typeof v === 'boolean' ? (v ? 'так' : 'ні') : String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// CSV однієї таблиці зі статистики або null, якщо такої таблиці немає
+function toCsv(stats, table) {
+  if (!Object.hasOwn(CSV_TABLES, table)) return null;
+  const cols = CSV_TABLES[table];
+  const rows = table === 'progress'
+    ? stats.players.flatMap(p => p.progress.map(g => ({ ...g, name: p.name, finishedAt: new Date(g.finishedAt).toISOString() })))
+    : stats[table];
+  return [cols.map(([, title]) => title), ...rows.map(r => cols.map(([key]) => r[key]))]
+    .map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { gameStats, toCsv, playWon, CSV_TABLES };
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─── STORAGE ─────────────────────────────────────────────────────────────────
+// Сховище знімків кімнат і архіву завершених ігор. Будь-який бекенд (файли,
+// SQLite, …) реалізує той самий набір асинхронних методів:
+//
+//   saveRoom(code, snapshot)  — перезаписати знімок кімнати
+//   deleteRoom(code)          — прибрати знімок (кімнату закрито)
+//   loadRooms()               — усі збережені знімки, для відновлення після рестарту
+//   archiveGame(record)       — зберегти запис завершеної гри, повертає його id
+//   listGames()               — короткі описи архівних ігор, від найновішої
+//   getGame(id)               — повний запис гри або null
+//   allGames()                — повні записи всіх ігор одним проходом, для статистики
+//
+// Для SQLite достатньо двох таблиць: rooms(code PRIMARY KEY, json) і
+// games(id PRIMARY KEY, finished_at, json).
+
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+function gameSummary(record) {
+  return {
+    id: record.id, code: record.code, finishedAt: record.finishedAt,
+    rounds: record.rounds, reason: record.reason, winnerId: record.winnerId,
+    players: (record.players || []).map(p => ({ id: p.id, name: p.name, civName: p.civName, score: p.score })),
+  };
+}
+
+// Файлове сховище: <dir>/rooms/<CODE>.json і <dir>/games/<id>.json
+function createFileStore(dir, logger = console) {
+  const roomsDir = path.join(dir, 'rooms');
+  const gamesDir = path.join(dir, 'games');
+  fs.mkdirSync(roomsDir, { recursive: true });
+  fs.mkdirSync(gamesDir, { recursive: true });
+
+  // Записи однієї кімнати йдуть по черзі, щоб старіший знімок не перетер новіший
+  const queues = {};
+  function enqueue(key, job) {
+    const next = (queues[key] || Promise.resolve()).then(job, job);
+    queues[key] = next.finally(() => { if (queues[key] === next) delete queues[key]; });
+    return next;
+  }
+
+  async function writeJson(file, data) {
+    const tmp = file + '.tmp';
+    await fs.promises.writeFile(tmp, JSON.stringify(data));
+    await fs.promises.rename(tmp, file);
+  }
+
+  async function readDir(d) {
+    const files = await fs.promises.readdir(d);
+    const out = [];
+    for (const f of files.filter(f => f.endsWith('.json'))) {
+      try { out.push(JSON.parse(await fs.promises.readFile(path.join(d, f)))); }
+      catch (err) { logger.error(`[Storage] пошкоджений файл ${f}:`, err.message); }
+    }
+    return out;
+  }
+
+  return {
+    saveRoom(code, snapshot) {
+      if (!SAFE_ID.test(code)) return Promise.reject(new Error('bad room code'));
+      return enqueue(code, () => writeJson(path.join(roomsDir, code + '.json'), snapshot));
+    },
+    deleteRoom(code) {
+      if (!SAFE_ID.test(code)) return Promise.resolve();
+      return enqueue(code, () => fs.promises.rm(path.join(roomsDir, code + '.json'), { force: true }));
+    },
+    loadRooms() {
+      return readDir(roomsDir);
+    },
+    async archiveGame(record) {
+      await writeJson(path.join(gamesDir, record.id + '.json'), record);
+      return record.id;
+    },
+    async listGames() {
+      return (await readDir(gamesDir)).map(gameSummary).sort((a, b) => b.finishedAt - a.finishedAt);
+    },
+    async getGame(id) {
+      if (!SAFE_ID.test(id)) return null;
+      try { return JSON.parse(await fs.promises.readFile(path.join(gamesDir, id + '.json'))); }
+      catch { return null; }
+    },
+    allGames() {
+      return readDir(gamesDir);
+    },
+  };
+}
+
+// Сховище в пам'яті — нічого не переживає рестарт; для локальних прогонів
+function createMemoryStore() {
+  const rooms = {}, games = {};
+  return {
+    async saveRoom(code, snapshot) { rooms[code] = JSON.parse(JSON.stringify(snapshot)); },
+    async deleteRoom(code) { delete rooms[code]; },
+    async loadRooms() { return Object.values(rooms); },
+    async archiveGame(record) { games[record.id] = record; return record.id; },
+    async listGames() { return Object.values(games).map(gameSummary).sort((a, b) => b.finishedAt - a.finishedAt); },
+    async getGame(id) { return games[id] || null; },
+    async allGames() { return Object.values(games); },
+  };
+}
+
+// STORAGE=file (за замовчуванням) | memory; STORAGE_DIR — тека файлового сховища
+function createStore(kind = process.env.STORAGE || 'file', opts = {}) {
+  if (kind === 'file') return createFileStore(opts.dir || process.env.STORAGE_DIR || path.join(__dirname, '../storage'), opts.logger);
+  if (kind === 'memory') return createMemoryStore();
+  throw new Error(`Невідомий тип сховища: ${kind}`);
+}
+
+module.exports = { createStore, createFileStore, createMemoryStore };
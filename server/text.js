@@ -0,0 +1,52 @@
+// ─── PLAYER TEXT ─────────────────────────────────────────────────────────────
+// Аргументи, які гравці друкують у віддаленій грі, показуються всім: на великому
+// екрані, телефонах і в повторі. Перед цим сервер прибирає невидимі символи
+// та маскує лайку — лишається перша літера, решта зірочки. Кутові дужки — звичайний
+// текст («a < b»): розмітку знешкоджують клієнти, вставляючи текст через esc.
+//
+//   sanitizeText(raw)   — чистий текст: без керівних символів і зайвих пробілів
+//   maskProfanity(text) — той самий текст, лайливі слова замасковано
+
+// Корені з * — збіг з початком слова, решта — слово цілком.
+// Українська, поширені суржикові й російські форми та англійська.
+const PROFANITY = [
+  'хуй*', 'хуя*', 'хує*', 'хуї*', 'хер', 'хера', 'нахуй', 'нахер',
+  'пизд*', 'пізд*', 'бля', 'блять', 'блядь', 'бляха', 'бляд*',
+  'єба*', 'їба*', 'еба*', 'йоба*', 'уєб*', 'уеб*', 'заєб*', 'заеб*', 'виєб*', 'выеб*',
+  'сука', 'суки', 'суко', 'сучка', 'сучара', 'курва', 'курви',
+  'мудак*', 'мудил*', 'гандон*', 'залуп*', 'підар*', 'підор*', 'пидор*', 'пидар*', 'гівн*', 'говн*',
+  'fuck*', 'motherfuck*', 'shit*', 'bullshit*', 'bitch*', 'cunt*', 'asshole*', 'dick', 'dickhead*',
+  'bastard*', 'twat*', 'wanker*', 'slut*', 'whore*',
+];
+
+const prefixes = PROFANITY.filter(w => w.endsWith('*')).map(w => w.slice(0, -1));
+const words = new Set(PROFANITY.filter(w => !w.endsWith('*')));
+
+// ё зводимо до е — так список коротший
+const isProfane = word => {
+  const w = word.toLowerCase().replace(/ё/g, 'е');
+  return words.has(w) || prefixes.some(p => w.startsWith(p));
+};
+
+// Керівні символи (крім переносу рядка), нульової ширини і зміни напрямку тексту
+const INVISIBLE = /[\u0000-\u0009\u000b-\u001f\u007f-\u009f\u00ad\u200b-\u200f\u202a-\u202e\u2060-\u2069\ufeff]/g;
+
+function sanitizeText(raw) {
+  return String(raw ?? '')
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t/g, ' ')
+    .replace(INVISIBLE, '')
+    .replace(/ {2,}/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Слово — літери разом з апострофами всередині (м'який, п’ять)
+function maskProfanity(text) {
+  return text.replace(/[\p{L}\p{M}]+(?:['’ʼ][\p{L}\p{M}]+)*/gu, word =>
+    (isProfane(word) ? word[0] + '*'.repeat(word.length - 1) : word));
+}
+
+module.exports = { sanitizeText, maskProfanity };
@@ -0,0 +1,107 @@
+// ─── MESSAGE VALIDATION ──────────────────────────────────────────────────────
+// Кожне повідомлення клієнта перевіряється за схемою свого типу ще до рушія:
+// невідомий тип, зайве поле чи значення не того типу відкидаються з помилкою
+// { code, field } — текст за кодом додає рушій (./i18n). Правила гри (чи є картка в руці, чи можна так голосувати)
+// перевіряє вже сам рушій.
+
+// Максимальний розмір одного повідомлення і ліміт частоти на з'єднання
+const MAX_MESSAGE_BYTES = 4096;
+const RATE_LIMIT = { perSecond: 10, burst: 20 };
+
+const MAX_CELLS = 256; // більше, ніж клітинок на найбільшій карті
+// Аргумент віддаленої гри: ліміт кімнати (remote.maxChars) перевіряє рушій уже після очищення
+const MAX_TEXT = 1500;
+
+const { LOCALES } = require('./i18n');
+
+const is = {
+  str: max => v => typeof v === 'string' && v.length <= max,
+  id: v => typeof v === 'string' && /^[a-z0-9]{1,16}$/i.test(v),
+  roomCode: v => typeof v === 'string' && /^[A-Z0-9]{1,12}$/i.test(v),
+  // id картки може прийти числом або рядком з цифр — рушій приводить до Number
+  cardId: v => Number.isInteger(v) || (typeof v === 'string' && /^\d{1,6}$/.test(v)),
+  int: (min, max) => v => Number.isInteger(v) && v >= min && v <= max,
+  bool: v => typeof v === 'boolean',
+  object: v => !!v && typeof v === 'object' && !Array.isArray(v),
+  oneOf: (...values) => v => values.includes(v),
+  list: (check, min, max) => v => Array.isArray(v) && v.length >= min && v.length <= max && v.every(check),
+};
+
+// null і undefined — це «поле не передано»
+function optional(check) {
+  return v => v === undefined || v === null || check(v);
+}
+
+const SCHEMAS = {
+  // ведучий
+  create_room:     { password: optional(is.str(40)), locale: optional(is.oneOf(...LOCALES)) },
+  reclaim_room:    { code: is.roomCode, hostSecret: is.str(128) },
+  join_cohost:     { code: is.roomCode, cohostSecret: is.str(128) },
+  revoke_cohost:   {},
+  start_game:      {},
+  update_settings: { preset: optional(is.str(40)), settings: optional(is.object) },
+  choose_pack:     { packId: is.str(60) },
+  add_bot:         { strategy: optional(is.str(20)) },
+  remove_bot:      { playerId: is.id },
+  rematch:         {},
+  set_password:    { password: optional(is.str(40)) },
+  set_locale:      { locale: is.oneOf(...LOCALES) },
+  next_phase:      {},
+  kick_player:     { playerId: is.id },
+  rename_player:   { playerId: is.id, name: is.str(40) },
+  pause_game:      {},
+  resume_game:     {},
+  skip_attacker:   { playerId: is.id },
+  undo_capture:    {},
+  set_team:        { playerId: is.id, team: is.int(1, 4) },
+  // гравець
+  join_room:       { code: is.roomCode, name: optional(is.str(40)), password: optional(is.str(40)) },
+  resume:          { code: is.roomCode, token: is.str(128) },
+  choose_civ:      { civId: is.str(40) },
+  choose_attack:   { defenderId: is.id, factId: optional(is.str(80)), fallacyId: is.cardId, text: optional(is.str(MAX_TEXT)) },
+  defense_choice:  { choice: is.oneOf('speak', 'silence'), fallacyId: optional(is.cardId), speech: optional(is.bool), text: optional(is.str(MAX_TEXT)) },
+  cancel_vote:     { vote: is.oneOf('cancel', 'ok') },
+  quiz_guess:      { fallacyId: is.cardId },
+  submit_rating:   { ranked: is.list(is.id, 1, 8) },
+  capture:         { cellIds: is.list(Number.isInteger, 1, MAX_CELLS) },
+  choose_topic:    { topicId: is.cardId },
+  speech_done:     { fallacyId: optional(is.cardId), text: optional(is.str(MAX_TEXT)) },
+  discard_cards:   { fallacyIds: is.list(is.cardId, 1, 10) },
+  team_chat:       { text: optional(is.str(MAX_TEXT)), fallacyId: optional(is.cardId), factId: optional(is.str(80)) },
+  // глядач
+  join_spectator:  { code: is.roomCode, name: optional(is.str(40)), token: optional(is.str(128)), password: optional(is.str(40)) },
+  audience_vote:   { vote: optional(is.oneOf('cancel', 'ok')), playerId: optional(is.id) },
+};
+
+// null, якщо повідомлення відповідає схемі, інакше { code, field, reason }
+function validateMessage(msg) {
+  if (!msg || typeof msg !== 'object' || Array.isArray(msg) || typeof msg.type !== 'string') {
+    return { code: 'bad_message' };
+  }
+  // Лише власні ключі: __proto__ чи constructor — не схеми і не поля
+  if (!Object.hasOwn(SCHEMAS, msg.type)) return { code: 'unknown_type', messageType: msg.type.slice(0, 40) };
+  const schema = SCHEMAS[msg.type];
+  for (const key of Object.keys(msg)) {
+    if (key !== 'type' && !Object.hasOwn(schema, key)) return { code: 'invalid_field', field: key.slice(0, 40), reason: 'extra' };
+  }
+  for (const [key, check] of Object.entries(schema)) {
+    if (!check(msg[key])) return { code: 'invalid_field', field: key };
+  }
+  return null;
+}
+
+// Маркерне відро: burst повідомлень одразу, далі perSecond на секунду.
+// Повертає функцію, яка каже, чи можна пропустити ще одне повідомлення.
+function createRateLimiter({ perSecond, burst } = RATE_LIMIT, now = Date.now) {
+  let tokens = burst, last = now();
+  return function allow() {
+    const t = now();
+    tokens = Math.min(burst, tokens + (t - last) / 1000 * perSecond);
+    last = t;
+    if (tokens < 1) return false;
+    tokens -= 1;
+    return true;
+  };
+}
+
+module.exports = { MAX_MESSAGE_BYTES, RATE_LIMIT, SCHEMAS, validateMessage, createRateLimiter };
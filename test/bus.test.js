@@ -0,0 +1,147 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const { createRedisBus, createMemoryBus } = require('../server/bus');
+const { createRouter } = require('../server/router');
+const { createEngine } = require('../server/engine');
+const { createRespServer } = require('../scripts/resp-server');
+const { quiet } = require('./harness');
+
+// ─── RESP STAND-IN ───────────────────────────────────────────────────────────
+// Справжні сокети до scripts/resp-server.js: сервер можна «покласти» і підняти
+// на тому ж порту, щоб перевірити перепідключення шини.
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Чекає, поки check() не перестане кидати, — перепідключення йдуть у своєму темпі
+async function eventually(check, ms = 3000) {
+  const until = Date.now() + ms;
+  for (;;) {
+    try { return await check(); } catch (err) { if (Date.now() > until) throw err; }
+    await sleep(25);
+  }
+}
+
+function createStandIn() {
+  let server = null, port = 0;
+  const sockets = new Set();
+  return {
+    get url() { return `redis://127.0.0.1:${port}`; },
+    async start() {
+      server = createRespServer();
+      server.on('connection', s => { sockets.add(s); s.on('close', () => sockets.delete(s)); });
+      server.listen(port, '127.0.0.1');
+      await once(server, 'listening');
+      port = server.address().port;
+    },
+    // Сервер падає: усі з'єднання обриваються, нові не приймаються
+    async stop() {
+      sockets.forEach(s => s.destroy());
+      server.close();
+      await once(server, 'close');
+    },
+  };
+}
+
+describe('redis bus', () => {
+  const standIn = createStandIn();
+  const buses = [];
+  const bus = opts => { const b = createRedisBus({ url: standIn.url, logger: quiet, ...opts }); buses.push(b); return b; };
+
+  before(() => standIn.start());
+  after(async () => { buses.forEach(b => b.close()); await standIn.stop(); });
+
+  test('registry and pub/sub go through the server', async () => {
+    const a = bus(), b = bus();
+    assert.equal(await a.claim('fm:test:1', 'a', 10000), true);
+    assert.equal(await b.claim('fm:test:1', 'b', 10000), false);
+    assert.equal(await b.get('fm:test:1'), 'a');
+    await a.release('fm:test:1');
+    assert.equal(await b.get('fm:test:1'), null);
+
+    const got = [];
+    b.subscribe('fm:test:chan', m => got.push(m));
+    await eventually(async () => { await a.publish('fm:test:chan', { n: 1 }); assert.deepEqual(got[0], { n: 1 }); });
+  });
+
+  test('commands fail fast while the server is down, then the bus reconnects and resubscribes', async () => {
+    const a = bus(), b = bus();
+    const got = [];
+    b.subscribe('fm:test:again', m => got.push(m));
+    await eventually(async () => { await a.publish('fm:test:again', { n: 1 }); assert.equal(got.length, 1); });
+
+    await standIn.stop();
+    await eventually(() => assert.rejects(a.get('fm:test:x'), /RESP/));
+    const started = Date.now();
+    await assert.rejects(a.claim('fm:test:x', 'a', 1000));
+    assert.ok(Date.now() - started < 1000);
+
+    await standIn.start();
+    await eventually(async () => { assert.equal(await a.claim('fm:test:x', 'a', 10000), true); });
+    await eventually(async () => { await a.publish('fm:test:again', { n: 2 }); assert.deepEqual(got.at(-1), { n: 2 }); });
+  });
+
+  test('a command without an answer times out', async () => {
+    // Сервер, що приймає команди і ніколи не відповідає
+    const silent = net.createServer(s => s.on('data', () => {}));
+    silent.listen(0, '127.0.0.1');
+    await once(silent, 'listening');
+    const mute = createRedisBus({ url: `redis://127.0.0.1:${silent.address().port}`, logger: quiet, timeoutMs: 100 });
+    await assert.rejects(mute.get('fm:test:y'), /немає відповіді/);
+    mute.close();
+    silent.close();
+  });
+});
+
+// ─── ROUTER ──────────────────────────────────────────────────────────────────
+
+describe('router over the bus', () => {
+  const standIn = createStandIn();
+  const closers = [];
+
+  function instance(id, bus, opts) {
+    const engine = createEngine({ logger: quiet });
+    const router = createRouter({ engine, bus, instanceId: id, logger: quiet, ...opts });
+    const inbox = {};
+    router.on('send', (connId, msg) => (inbox[connId] = inbox[connId] || []).push(msg));
+    closers.push(() => router.close());
+    return { engine, router, inbox, last: (c, type) => [...(inbox[c] || [])].reverse().find(m => m.type === type) };
+  }
+
+  before(() => standIn.start());
+  after(async () => { closers.forEach(c => c()); await standIn.stop(); });
+
+  test('any instance accepts join_room for a room owned by another', async () => {
+    const busA = createRedisBus({ url: standIn.url, logger: quiet }), busB = createRedisBus({ url: standIn.url, logger: quiet });
+    closers.push(() => { busA.close(); busB.close(); });
+    const a = instance('a', busA), b = instance('b', busB);
+    a.router.handle('h', { type: 'create_room' });
+    const created = await eventually(() => a.last('h', 'room_created') || assert.fail('no room'));
+    b.router.handle('p', { type: 'join_room', code: created.code, name: 'Ann' });
+    const joined = await eventually(() => b.last('p', 'joined') || assert.fail('not joined'));
+    assert.equal(joined.code, created.code);
+    assert.ok(Object.values(a.engine.rooms[created.code].players).some(p => p.id === joined.playerId));
+  });
+
+  test('a registry that never answers does not leave sockets hanging', async () => {
+    const memory = createMemoryBus();
+    const stuck = { ...memory, get: () => new Promise(() => {}), claim: () => new Promise(() => {}) };
+    const a = instance('stuck', stuck, { timeoutMs: 50 });
+    a.router.handle('h', { type: 'create_room' });
+    a.router.handle('p', { type: 'join_room', code: 'ZZZZ', name: 'Ann' });
+    await sleep(100);
+    assert.ok(a.last('h', 'room_created'));
+    assert.equal(a.last('p', 'error').code, 'room_not_found');
+  });
+
+  test('a call for a method outside CALLS is answered with an error', async () => {
+    const memory = createMemoryBus();
+    instance('owner', memory);
+    const replies = [];
+    memory.subscribe('fm:instance:peer', m => replies.push(m));
+    await memory.publish('fm:instance:owner', { kind: 'call', from: 'peer', id: 'x1', method: 'closeRoom', args: ['ABCD'] });
+    await memory.publish('fm:instance:owner', { kind: 'call', from: 'peer', id: 'x2', args: ['ABCD', 's', {}] });
+    assert.deepEqual(replies.map(r => [r.id, 'result' in r, /невідомий метод/.test(r.error)]), [['x1', false, true], ['x2', false, true]]);
+  });
+});
@@ -0,0 +1,99 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadContent, mergePack, validatePack } = require('../server/content');
+
+const LINT = path.join(__dirname, '../scripts/lint-content.js');
+
+// Набір із типовими помилками автора: порожня назва, складність поза межами,
+// повторений id і контркартки, яких немає
+const BROKEN = {
+  name: 'Зламаний',
+  fallacies: [
+    { id: 0, name: 'Зеро', desc: 'Чесний аргумент', difficulty: 1 },
+    { id: 1, name: '  ', desc: 'Опис  з подвійним пробілом', difficulty: 9 },
+    { id: 1, name: 'Опудало', desc: 'Перекручує позицію', difficulty: 1, counters: [99, 'ghost'] },
+  ],
+};
+
+const codes = issues => issues.map(i => `${i.level} ${i.path} ${i.code}`);
+
+describe('validatePack', () => {
+  test('the standard content passes', () => {
+    const { errors, warnings } = validatePack(loadContent());
+    assert.deepEqual([errors, warnings], [[], []]);
+  });
+
+  test('a broken pack reports each problem with its path and code', () => {
+    const { errors, warnings, issues } = validatePack(mergePack(BROKEN, loadContent()));
+    assert.deepEqual(codes(issues), [
+      'error fallacies[1].name empty_text',
+      'error fallacies[1].difficulty schema',
+      'error fallacies[2].id duplicate_id',
+      'error fallacies[2].counters[0] unknown_counter',
+      'warning fallacies[2].counters[1] unknown_counter',
+    ]);
+    assert.equal(errors[2], 'fallacies[2].id: повторюється id 1');
+    assert.equal(warnings.length, 1);
+  });
+
+  test('civilization pairs and fact fields are checked', () => {
+    const base = loadContent();
+    const [a, b] = base.civilizations;
+    const pair = `${a.id}_vs_${b.id}`;
+    const fact = { id: 'f1', title: 'Т', body: 'Б', attacker_angle: 'А', defender_angle: 'З', type: 'war', severity: 3 };
+    const { issues } = validatePack(mergePack({
+      civilizations: [a, b],
+      confrontations: {
+        [pair]: [fact, { ...fact, severity: 9, type: 'Війна' }],
+        [`${b.id}_vs_${a.id}`]: [],
+        [`${a.id}_vs_nowhere`]: [],
+      },
+    }, base));
+    assert.deepEqual(codes(issues), [
+      'warning civilizations few_civilizations',
+      `error confrontations.${pair}[1].id duplicate_id`,
+      `error confrontations.${pair}[1].type schema`,
+      `error confrontations.${pair}[1].severity schema`,
+      `error confrontations.${b.id}_vs_${a.id} duplicate_pair`,
+      `error confrontations.${a.id}_vs_nowhere bad_pair`,
+    ]);
+  });
+});
+
+describe('lint-content', () => {
+  let dir;
+  const lint = (...args) => spawnSync(process.execPath, [LINT, ...args], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-lint-'));
+    fs.writeFileSync(path.join(dir, 'broken.json'), JSON.stringify(BROKEN));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('a broken pack fails with one line per problem and a summary', () => {
+    const { status, stdout } = lint('broken.json');
+    assert.equal(status, 1);
+    const lines = stdout.trim().split('\n');
+    assert.equal(lines[0], 'broken: складність 1: 1, складність 2: 0, складність 3: 0, складність 4: 0');
+    assert.ok(lines.includes('  ✗ broken.json fallacies[1].name [empty_text] порожній текст'));
+    assert.ok(lines.includes('  ⚠ broken.json fallacies[2].counters[1] [unknown_counter] жодна картка не має тегу «ghost»'));
+    assert.ok(lines.includes('  ⚠ broken.json fallacies[1].desc [whitespace] подвійний пробіл'));
+    assert.ok(lines.some(l => l.startsWith('  ✗ broken.json fallacies [deck_too_small] пресет standard:')));
+    assert.match(lines.at(-1), /^\d+ помилок, \d+ попереджень$/);
+  });
+
+  test('--json reports the same issues with files and levels', () => {
+    const { status, stdout } = lint('--json', 'broken.json', 'missing.json');
+    assert.equal(status, 1);
+    const report = JSON.parse(stdout);
+    assert.equal(report.ok, false);
+    const [broken, missing] = report.packs;
+    assert.deepEqual(broken.issues.find(i => i.code === 'duplicate_id'),
+      { level: 'error', code: 'duplicate_id', path: 'fallacies[2].id', message: 'повторюється id 1', file: 'broken.json' });
+    assert.deepEqual(missing.issues.map(i => i.code), ['unreadable']);
+  });
+});
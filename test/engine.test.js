@@ -0,0 +1,387 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, startCampaign } = require('./harness');
+
+// ─── FULL GAMES ──────────────────────────────────────────────────────────────
+
+// Партія самих ботів від лобі до фіналу
+function botGame(seed, { preset, settings, bots = ['random', 'aggressive', 'cautious'] } = {}) {
+  const h = createHarness({ seed });
+  h.createRoom('host', { preset, settings });
+  bots.forEach(strategy => h.send('host', { type: 'add_bot', strategy }));
+  h.send('host', { type: 'start_game' });
+  h.advanceUntil(() => h.records.length > 0, { step: 1000 });
+  return h;
+}
+
+const phasesOf = h => new Set(h.all('host', 'phase').map(m => m.phase));
+
+describe('full games', () => {
+  test('campaign plays from lobby to game over', () => {
+    const h = botGame(7);
+    const [record] = h.records;
+    assert.equal(h.room().phase, 'game_over');
+    assert.equal(record.rounds, 5);
+    assert.equal(record.reason, 'rounds');
+    assert.equal(record.players.length, 3);
+    assert.ok(record.players.some(p => p.id === record.winnerId));
+    ['civ_select', 'attack_prep', 'defense', 'rating', 'map'].forEach(phase => assert.ok(phasesOf(h).has(phase), phase));
+    const types = new Set(record.log.map(e => e.type));
+    ['civ', 'attack', 'defense', 'rating_result', 'capture'].forEach(type => assert.ok(types.has(type), type));
+    assert.equal(h.all('host', 'round_start').length, 5);
+  });
+
+  test('debate plays from lobby to game over', () => {
+    const h = botGame(3, { preset: 'thesis_debate' });
+    const [record] = h.records;
+    assert.equal(h.room().phase, 'game_over');
+    assert.equal(record.settings.mode, 'debate');
+    ['topic_select', 'cards', 'speech', 'rating', 'map'].forEach(phase => assert.ok(phasesOf(h).has(phase), phase));
+    assert.ok(!phasesOf(h).has('attack_prep'));
+    // Кожен раунд — по виступу на гравця
+    assert.equal(record.speeches.length, record.rounds * 3);
+    assert.ok(record.speeches.every(sp => sp.role === 'thesis' && sp.topicText));
+  });
+
+  test('the same seed replays the same game', () => {
+    const strip = h => JSON.stringify({ log: h.records[0].log, players: h.records[0].players, map: h.records[0].map });
+    assert.equal(strip(botGame(11)), strip(botGame(11)));
+    assert.notEqual(strip(botGame(11)), strip(botGame(12)));
+  });
+
+  test('a team game gets a map sized for its players, owned by teams', () => {
+    const h = botGame(5, { preset: 'classroom_teams', bots: ['random', 'aggressive', 'cautious', 'random', 'aggressive', 'cautious'] });
+    const init = h.records[0].log.find(e => e.type === 'map_init');
+    const owned = {};
+    init.cells.filter(c => c.owner).forEach(c => { owned[c.owner] = (owned[c.owner] || 0) + 1; });
+    assert.equal(init.radius, 7);
+    assert.deepEqual(Object.keys(owned).sort(), ['team:1', 'team:2']);
+    assert.equal(owned['team:1'], owned['team:2']);
+    assert.ok(owned['team:1'] / init.cells.length < 0.15);
+  });
+});
+
+// ─── DISCONNECTS ─────────────────────────────────────────────────────────────
+
+describe('disconnect and resume', () => {
+  test('attacker drops and resumes during attack_prep', () => {
+    const h = createHarness({ seed: 5 });
+    const players = startCampaign(h, ['ann', 'bob', 'cid']);
+    const room = h.room();
+    const attacker = players.find(p => p.playerId === room.currentAttack.attackerId);
+
+    h.engine.disconnect(attacker.connId);
+    assert.equal(room.players[attacker.playerId].connected, false);
+    assert.ok(h.last('host', 'player_left').players.some(p => p.id === attacker.playerId && !p.connected));
+    h.clock.advance(10000);
+    assert.equal(room.phase, 'attack_prep');
+
+    h.send('phone2', { type: 'resume', code: h.code, token: attacker.token });
+    const resumed = h.last('phone2', 'resumed');
+    assert.equal(resumed.playerId, attacker.playerId);
+    assert.equal(resumed.phase, 'attack_prep');
+    assert.equal(resumed.acted, false);
+    const turn = h.last('phone2', 'your_attack_turn');
+    assert.ok(turn.cards.length > 0);
+    assert.ok(h.last('host', 'player_rejoined').players.find(p => p.id === attacker.playerId).connected);
+
+    // Старе з'єднання більше нічого не вирішує — ходить нове
+    const target = turn.targets[0];
+    h.send(attacker.connId, { type: 'choose_attack', defenderId: target.id, fallacyId: turn.cards[0].id, factId: turn.factsPreview[target.id][0]?.id });
+    assert.equal(room.phase, 'attack_prep');
+    h.send('phone2', { type: 'choose_attack', defenderId: target.id, fallacyId: turn.cards[0].id, factId: turn.factsPreview[target.id][0]?.id });
+    assert.equal(room.phase, 'defense');
+    assert.equal(room.currentAttack.defenderId, target.id);
+    assert.equal(room.currentAttack.fallacyId, turn.cards[0].id);
+  });
+
+  test('defender drops and resumes during defense', () => {
+    const h = createHarness({ seed: 9 });
+    const players = startCampaign(h, ['ann', 'bob', 'cid']);
+    const room = h.room();
+    h.advanceUntil(() => room.phase === 'defense');
+    const defender = players.find(p => p.playerId === room.currentAttack.defenderId);
+    const attackerId = room.currentAttack.attackerId;
+
+    h.engine.disconnect(defender.connId);
+    h.clock.advance(5000);
+    h.send('phone2', { type: 'resume', code: h.code, token: defender.token });
+    assert.equal(h.last('phone2', 'resumed').phase, 'defense');
+    const turn = h.last('phone2', 'your_defense_turn');
+    assert.deepEqual(turn.cards, room.currentAttack.defenderCards);
+
+    h.send('phone2', { type: 'defense_choice', choice: 'speak', fallacyId: turn.cards[0].id });
+    assert.equal(room.defenseChoice, 'speak');
+    h.clock.advance(1500);
+    assert.equal(room.phase, 'cancel_vote');
+
+    // Голосує той, хто не атакував і не захищався
+    const voter = players.find(p => p.playerId !== attackerId && p.playerId !== defender.playerId);
+    [attackerId, voter.playerId].forEach(pid => h.send(h.connOf(pid), { type: 'cancel_vote', vote: 'ok' }));
+    const result = h.last('host', 'cancel_result');
+    assert.equal(result.cancelled, false);
+    assert.equal(result.defenderId, defender.playerId);
+    h.advanceUntil(() => room.phase === 'attack_prep');
+    assert.notEqual(room.currentAttack.attackerId, attackerId);
+  });
+
+  test('absent attacker is auto-played, then dropped after the grace period', () => {
+    const h = createHarness({ seed: 5 });
+    const players = startCampaign(h, ['ann', 'bob', 'cid']);
+    const room = h.room();
+    const attacker = players.find(p => p.playerId === room.currentAttack.attackerId);
+
+    h.engine.disconnect(attacker.connId);
+    h.clock.advance(60 * 1000);
+    assert.equal(room.phase, 'defense');
+    assert.ok(room.currentAttack.defenderId);
+    assert.ok(room.players[attacker.playerId]);
+
+    h.clock.advance(30 * 1000);
+    assert.equal(room.players[attacker.playerId], undefined);
+    h.send('phone2', { type: 'resume', code: h.code, token: attacker.token });
+    assert.ok(h.last('phone2', 'resume_failed'));
+  });
+});
+
+// ─── HOST RECLAIM ────────────────────────────────────────────────────────────
+
+describe('host reclaim', () => {
+  test('host comes back with hostSecret and the game goes on', () => {
+    const h = createHarness({ seed: 5 });
+    const players = startCampaign(h, ['ann', 'bob', 'cid']);
+    const room = h.room();
+    const { hostSecret } = h.last('host', 'room_created');
+
+    h.engine.disconnect('host');
+    h.clock.advance(20 * 1000);
+    assert.equal(room.paused, true);
+    assert.equal(room.pauseReason, 'host_gone');
+    assert.equal(h.last(players[0].connId, 'paused').reason, 'host_gone');
+    const remaining = room.pausedRemaining;
+    h.clock.advance(60 * 1000);
+    assert.equal(room.phase, 'attack_prep');
+
+    h.send('screen2', { type: 'reclaim_room', code: h.code, hostSecret: 'wrong' });
+    assert.ok(h.last('screen2', 'reclaim_failed'));
+    h.send('screen2', { type: 'reclaim_room', code: h.code, hostSecret });
+    const snap = h.last('screen2', 'room_reclaimed');
+    assert.equal(snap.phase, 'attack_prep');
+    assert.equal(snap.round, 1);
+    assert.equal(snap.players.length, 3);
+    assert.equal(room.paused, false);
+    assert.equal(room.timerEnd - h.clock.now(), remaining);
+
+    h.send('screen2', { type: 'next_phase' });
+    assert.equal(room.phase, 'defense');
+  });
+
+  test('a host who pauses keeps the pause through a reclaim', () => {
+    const h = createHarness({ seed: 5 });
+    startCampaign(h, ['ann', 'bob']);
+    const { hostSecret } = h.last('host', 'room_created');
+    h.send('host', { type: 'pause_game' });
+    h.engine.disconnect('host');
+    h.send('screen2', { type: 'reclaim_room', code: h.code, hostSecret });
+    assert.equal(h.room().paused, true);
+    assert.equal(h.room().pauseReason, 'host');
+  });
+
+  test('the reclaimed screen does not see the quiz card before the reveal', () => {
+    const h = createHarness({ seed: 5 });
+    const players = startCampaign(h, ['ann', 'bob', 'cid'], { settings: { quiz: { enabled: true } } });
+    const room = h.room();
+    const { hostSecret } = h.last('host', 'room_created');
+    const attacker = players.find(p => p.playerId === room.currentAttack.attackerId);
+    const turn = h.last(attacker.connId, 'your_attack_turn');
+    const target = turn.targets[0];
+    h.send(attacker.connId, { type: 'choose_attack', defenderId: target.id, fallacyId: turn.cards[0].id, factId: turn.factsPreview[target.id][0]?.id });
+    assert.equal(room.phase, 'defense');
+
+    const attackSpeech = snap => snap.speeches.find(sp => sp.role === 'attack');
+    h.send('screen2', { type: 'reclaim_room', code: h.code, hostSecret });
+    assert.equal(attackSpeech(h.last('screen2', 'room_reclaimed')).fallacyName, null);
+    assert.equal(attackSpeech(h.last('screen2', 'room_reclaimed')).fallacyId, null);
+
+    h.advanceUntil(() => room.quiz?.revealed, { host: 'screen2' });
+    h.send('screen3', { type: 'reclaim_room', code: h.code, hostSecret });
+    assert.equal(attackSpeech(h.last('screen3', 'room_reclaimed')).fallacyName, turn.cards[0].name);
+  });
+
+  test('a co-host screen sees and runs the game; the room waits only for the last screen', () => {
+    const h = createHarness({ seed: 5 });
+    startCampaign(h, ['ann', 'bob', 'cid']);
+    const room = h.room();
+    const { cohostSecret } = h.last('host', 'room_created');
+
+    h.send('screen2', { type: 'join_cohost', code: h.code, cohostSecret });
+    assert.equal(h.last('screen2', 'room_reclaimed').phase, 'attack_prep');
+    assert.equal(h.last('host', 'hosts').count, 2);
+    assert.ok(!h.closed.includes('host'));
+
+    h.send('screen2', { type: 'next_phase' });
+    assert.equal(room.phase, 'defense');
+    assert.equal(h.last('host', 'phase').phase, 'defense');
+    h.send('host', { type: 'pause_game' });
+    assert.equal(h.last('screen2', 'paused').reason, 'host');
+    h.send('screen2', { type: 'resume_game' });
+    assert.equal(room.paused, false);
+
+    h.engine.disconnect('host');
+    assert.equal(h.last('screen2', 'hosts').count, 1);
+    h.clock.advance(20 * 1000);
+    assert.notEqual(room.pauseReason, 'host_gone');
+    h.engine.disconnect('screen2');
+    h.clock.advance(20 * 1000);
+    assert.equal(room.pauseReason, 'host_gone');
+  });
+
+  test('an extra screen pushes out the oldest co-host, never a host screen', () => {
+    const h = createHarness({ seed: 5 });
+    startCampaign(h, ['ann', 'bob']);
+    const { hostSecret, cohostSecret } = h.last('host', 'room_created');
+    const cohost = s => h.send(s, { type: 'join_cohost', code: h.code, cohostSecret });
+    ['c1', 'c2', 'c3'].forEach(cohost);
+    cohost('c4');
+    h.send('reload', { type: 'reclaim_room', code: h.code, hostSecret });
+    assert.deepEqual(h.closed, ['c1', 'c2']);
+    assert.deepEqual(h.room().host.connIds, ['host', 'c3', 'c4', 'reload']);
+    h.send('c1', { type: 'pause_game' });
+    assert.equal(h.room().paused, false);
+
+    // Екрани ведучого лишаються навіть понад ліміт; співведучому тоді місця немає
+    h.send('reload2', { type: 'reclaim_room', code: h.code, hostSecret });
+    h.send('reload3', { type: 'reclaim_room', code: h.code, hostSecret });
+    assert.deepEqual(h.closed, ['c1', 'c2', 'c3', 'c4']);
+    cohost('c5');
+    assert.equal(h.last('c5', 'error').code, 'host_screens_full');
+    assert.deepEqual(h.room().host.connIds, ['host', 'reload', 'reload2', 'reload3']);
+    h.send('host', { type: 'pause_game' });
+    assert.equal(h.room().paused, true);
+  });
+
+  test('a co-host gets no secrets and loses the room when the host revokes the link', () => {
+    const h = createHarness({ seed: 5 });
+    startCampaign(h, ['ann', 'bob']);
+    const { hostSecret, cohostSecret } = h.last('host', 'room_created');
+    h.send('c1', { type: 'join_cohost', code: h.code, cohostSecret: hostSecret });
+    assert.ok(h.last('c1', 'reclaim_failed'));
+    h.send('c1', { type: 'join_cohost', code: h.code, cohostSecret });
+    const snap = h.last('c1', 'room_reclaimed');
+    assert.equal(snap.cohostSecret, undefined);
+    assert.ok(!JSON.stringify(snap).includes(hostSecret));
+
+    h.send('c1', { type: 'revoke_cohost' });
+    assert.equal(h.last('c1', 'error').code, 'forbidden');
+    h.send('reload', { type: 'reclaim_room', code: h.code, hostSecret });
+    assert.equal(h.last('reload', 'room_reclaimed').cohostSecret, cohostSecret);
+
+    h.send('host', { type: 'revoke_cohost' });
+    const revoked = h.last('reload', 'cohost_revoked');
+    assert.deepEqual([h.closed, revoked.count], [['c1'], 1]);
+    assert.notEqual(revoked.cohostSecret, cohostSecret);
+    assert.equal(h.last('host', 'hosts').count, 2);
+    h.send('c2', { type: 'join_cohost', code: h.code, cohostSecret });
+    assert.ok(h.last('c2', 'reclaim_failed'));
+    h.send('c2', { type: 'join_cohost', code: h.code, cohostSecret: revoked.cohostSecret });
+    assert.ok(h.last('c2', 'room_reclaimed'));
+  });
+
+  test('a room without its host closes after the abandon timeout', () => {
+    const h = createHarness({ seed: 5 });
+    const players = startCampaign(h, ['ann', 'bob']);
+    const code = h.code;
+    h.engine.disconnect('host');
+    h.clock.advance(15 * 60 * 1000);
+    assert.equal(h.engine.rooms[code], undefined);
+    assert.equal(h.last(players[0].connId, 'room_closed').reason, 'host_gone');
+    h.send('screen2', { type: 'reclaim_room', code, hostSecret: 'x' });
+    assert.ok(h.last('screen2', 'reclaim_failed'));
+  });
+});
+
+// ─── PAUSE ───────────────────────────────────────────────────────────────────
+
+describe('pause', () => {
+  test('a paused bot game stands still, then plays on to the end', () => {
+    const h = createHarness({ seed: 4 });
+    h.createRoom('host');
+    ['random', 'aggressive', 'cautious'].forEach(strategy => h.send('host', { type: 'add_bot', strategy }));
+    h.send('host', { type: 'start_game' });
+    const room = h.room();
+    h.advanceUntil(() => room.phase === 'attack_prep', { step: 100 });
+
+    h.send('host', { type: 'pause_game' });
+    const phases = h.all('host', 'phase').length;
+    h.clock.advance(30 * 60 * 1000);
+    assert.equal(room.phase, 'attack_prep');
+    assert.equal(h.all('host', 'phase').length, phases);
+    assert.equal(room.currentAttack.defenderId, null);
+
+    h.send('host', { type: 'resume_game' });
+    h.advanceUntil(() => h.records.length > 0, { step: 1000 });
+    assert.equal(room.phase, 'game_over');
+  });
+
+  test('next_phase is refused while the game is paused', () => {
+    const h = createHarness({ seed: 4 });
+    startCampaign(h, ['ann', 'bob']);
+    const room = h.room();
+    h.send('host', { type: 'pause_game' });
+    h.send('host', { type: 'next_phase' });
+    assert.deepEqual([room.phase, h.last('host', 'error').code, h.last('host', 'error').reason], ['attack_prep', 'game_paused', 'host']);
+
+    h.send('host', { type: 'resume_game' });
+    h.send('host', { type: 'next_phase' });
+    assert.equal(room.phase, 'defense');
+  });
+
+  test('the pause also holds the result screen before the next phase', () => {
+    const h = createHarness({ seed: 4 });
+    h.createRoom('host');
+    ['random', 'aggressive', 'cautious'].forEach(strategy => h.send('host', { type: 'add_bot', strategy }));
+    h.send('host', { type: 'start_game' });
+    const room = h.room();
+    h.advanceUntil(() => !!room.pendingStep, { step: 100 });
+    const { phase, pendingStep } = room;
+
+    h.send('host', { type: 'pause_game' });
+    h.clock.advance(10 * 60 * 1000);
+    assert.equal(room.phase, phase);
+    assert.equal(room.pendingStep, pendingStep);
+
+    // Знімок кімнати на паузі відновлюється з тим самим кроком
+    const restored = createHarness({ seed: 4 });
+    const copy = restored.engine.restoreRoom(JSON.parse(JSON.stringify(h.engine.serializeRoom(room))));
+    assert.equal(copy.pendingStep, pendingStep);
+
+    // Після паузи результат показується лише залишок часу, і гра йде далі
+    const { pausedRemaining } = room;
+    h.send('host', { type: 'resume_game' });
+    assert.equal(room.timerEnd - h.clock.now(), pausedRemaining);
+    h.clock.advance(pausedRemaining);
+    assert.ok(room.phase !== phase || room.pendingStep !== pendingStep);
+  });
+
+  test('players cannot move while the game is paused', () => {
+    const h = createHarness({ seed: 5 });
+    const players = startCampaign(h, ['ann', 'bob', 'cid']);
+    const room = h.room();
+    const attacker = players.find(p => p.playerId === room.currentAttack.attackerId);
+    const turn = h.last(attacker.connId, 'your_attack_turn');
+    const target = turn.targets[0];
+    const attack = { type: 'choose_attack', defenderId: target.id, fallacyId: turn.cards[0].id, factId: turn.factsPreview[target.id][0]?.id };
+
+    h.clock.advance(10 * 1000);
+    h.send('host', { type: 'pause_game' });
+    assert.equal(room.pausedRemaining, 50 * 1000);
+    h.send(attacker.connId, attack);
+    assert.equal(h.last(attacker.connId, 'error').code, 'game_paused');
+    assert.equal(room.phase, 'attack_prep');
+
+    h.send('host', { type: 'resume_game' });
+    assert.equal(room.timerEnd - h.clock.now(), 50 * 1000);
+    h.send(attacker.connId, attack);
+    assert.equal(room.phase, 'defense');
+  });
+});
@@ -0,0 +1,75 @@
+const { createEngine } = require('../server/engine');
+const { createManualClock } = require('../server/clock');
+const { createRng } = require('../server/random');
+const { createLibrary } = require('../server/content');
+
+// ─── TEST HARNESS ────────────────────────────────────────────────────────────
+// Рушій на ручному годиннику і сидованому генераторі: з'єднання — просто рядки,
+// а все, що рушій надсилає, складається в inbox[connId]. Однаковий seed і
+// однакові дії дають ту саму партію.
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+function createHarness({ seed = 1, library = createLibrary({ logger: quiet }) } = {}) {
+  const clock = createManualClock(0);
+  const engine = createEngine({ clock, rng: createRng(seed), library, logger: quiet });
+  const inbox = {};
+  const closed = [];
+  const records = [];
+  let code = null;
+
+  engine.on('send', (connId, msg) => (inbox[connId] = inbox[connId] || []).push(msg));
+  engine.on('close', connId => closed.push(connId));
+  engine.on('game_over', record => records.push(record));
+
+  const h = {
+    engine, clock, inbox, closed, records,
+    get code() { return code; },
+    room: () => engine.rooms[code],
+    send: (connId, msg) => engine.handle(connId, msg),
+    all: (connId, type) => (inbox[connId] || []).filter(m => m.type === type),
+    last: (connId, type) => [...(inbox[connId] || [])].reverse().find(m => m.type === type),
+
+    createRoom(connId = 'host', { preset, settings } = {}) {
+      engine.handle(connId, { type: 'create_room' });
+      const created = h.last(connId, 'room_created');
+      code = created.code;
+      if (preset || settings) engine.handle(connId, { type: 'update_settings', preset, settings: settings || {} });
+      return created;
+    },
+
+    // Людина з телефоном: connId, playerId і токен для resume
+    join(connId, name = connId) {
+      engine.handle(connId, { type: 'join_room', code, name });
+      const joined = h.last(connId, 'joined');
+      return { connId, playerId: joined.playerId, token: joined.token };
+    },
+
+    // Гравець за playerId — хто б зараз не тримав його з'єднання
+    connOf: playerId => h.room().players[playerId]?.connId,
+
+    // Крутить годинник, поки pred() не стане true; фаза round_end чекає «далі» ведучого
+    advanceUntil(pred, { step = 500, limit = 6 * 60 * 60 * 1000, host = 'host' } = {}) {
+      const until = clock.now() + limit;
+      while (!pred()) {
+        if (clock.now() >= until) throw new Error(`умова не настала за ${limit} мс; фаза ${h.room()?.phase}`);
+        if (h.room()?.phase === 'round_end' && host) engine.handle(host, { type: 'next_phase' });
+        clock.advance(step);
+      }
+    },
+  };
+  return h;
+}
+
+// Кампанія з людьми до першої фази атаки: усі обрали цивілізації
+function startCampaign(h, names, opts) {
+  h.createRoom('host', opts);
+  const players = names.map(n => h.join(n));
+  h.send('host', { type: 'start_game' });
+  const { civilizations } = h.last('host', 'phase');
+  players.forEach((p, i) => h.send(p.connId, { type: 'choose_civ', civId: civilizations[i].id }));
+  h.advanceUntil(() => h.room().phase === 'attack_prep');
+  return players;
+}
+
+module.exports = { createHarness, startCampaign, quiet };
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { initMap, territoryStats, captureCost } = require('../server/map');
+const { createRng } = require('../server/random');
+const { createHarness, startCampaign } = require('./harness');
+
+// Карта 3×5 (odd-r), id = ряд * 5 + стовпець; «.» — нічия клітинка.
+//   ряд 0:  A★ a  b  b  B★      ★ — столиця
+//   ряд 1:   a  ▲  b  .  a      ▲ — гори, a в кінці ряду відрізана від столиці
+//   ряд 2:  ♣  .  b  .  .      ♣ — ліс
+function sampleMap() {
+  const layout = [
+    ['a', 'a', 'b', 'b', 'b'],
+    ['a', null, 'b', null, 'a'],
+    [null, null, 'b', null, null],
+  ];
+  const cells = layout.flatMap((row, r) => row.map((owner, c) => ({ id: r * 5 + c, row: r, col: c, owner, terrain: 'plains' })));
+  Object.assign(cells[0], { capital: 'Афіни' });
+  Object.assign(cells[4], { capital: true });
+  cells[6].terrain = 'mountains';
+  cells[10].terrain = 'forest';
+  return { cells };
+}
+
+test('territoryStats splits territory into the capital region and cut-off cells', () => {
+  assert.deepEqual(territoryStats(sampleMap(), ['a', 'b', 'c']), {
+    a: { cells: 4, largest: 3, cutOff: [9] },
+    b: { cells: 5, largest: 5, cutOff: [] },
+    c: { cells: 0, largest: 0, cutOff: [] },
+  });
+});
+
+test('captureCost charges terrain, an enemy surcharge except on cut-off land, and never a capital', () => {
+  const map = sampleMap();
+  const cost = (id, pid) => captureCost(map, map.cells[id], pid, { enemyCost: 2, cutOff: new Set([9]) });
+  assert.equal(cost(6, 'a'), 3);     // гори
+  assert.equal(cost(10, 'a'), 2);    // ліс
+  assert.equal(cost(14, 'a'), 1);    // рівнина поруч із відрізаною клітинкою
+  assert.equal(cost(2, 'a'), 1 + 2); // чужа земля
+  assert.equal(cost(1, 'b'), 1 + 2);
+  assert.equal(cost(9, 'b'), 1);     // відрізану ніхто не боронить
+  assert.equal(cost(4, 'a'), null);  // столиця
+  assert.equal(cost(0, 'b'), null);
+  assert.equal(cost(1, 'a'), null);  // своя
+  assert.equal(cost(13, 'a'), null); // не межує
+  assert.equal(captureCost(map, undefined, 'a', { enemyCost: 2, cutOff: new Set() }), null);
+});
+
+test('initMap gives every player a plains capital inside their starting cluster', () => {
+  const map = initMap(['a', 'b', 'c'], { rng: createRng(7), capitals: { a: 'Афіни' } });
+  const capitals = map.cells.filter(c => c.capital);
+  assert.deepEqual(capitals.map(c => [c.owner, c.capital, c.terrain]).sort(),
+    [['a', 'Афіни', 'plains'], ['b', true, 'plains'], ['c', true, 'plains']]);
+  const stats = territoryStats(map, ['a', 'b', 'c']);
+  Object.values(stats).forEach(st => assert.deepEqual([st.cells > 3, st.cutOff], [true, []]));
+  assert.ok(initMap(['a', 'b'], { terrain: false }).cells.every(c => c.terrain === 'plains'));
+});
+
+test('the round-end region bonus is one point per regionCells, split across a team from the first member', () => {
+  const h = createHarness({ seed: 3 });
+  startCampaign(h, ['ann', 'bob', 'cid'], { settings: { teams: { count: 2 }, map: { regionCells: 2 } } });
+  h.advanceUntil(() => h.room().phase === 'map', { host: null });
+  const room = h.room();
+  // Середній ряд диска: сім клітинок першої команди, проміжок і три клітинки другої
+  const row = room.map.cells.filter(c => c.row === room.map.radius).sort((a, b) => a.col - b.col);
+  room.map.cells.forEach(c => { c.owner = null; });
+  row.slice(0, 7).forEach(c => { c.owner = 'team:1'; });
+  row.slice(8, 11).forEach(c => { c.owner = 'team:2'; });
+  const before = Object.fromEntries(Object.values(room.players).map(p => [p.id, p.score]));
+
+  h.send('host', { type: 'next_phase' });
+  const { regions } = h.last('host', 'phase');
+  assert.deepEqual(regions, {
+    'team:1': { largest: 7, cutOff: 0, bonus: 3 },
+    'team:2': { largest: 3, cutOff: 0, bonus: 1 },
+  });
+  const gained = Object.values(room.players).map(p => [p.team, p.score - before[p.id]]);
+  assert.deepEqual(gained, [[1, 2], [2, 1], [1, 1]]);
+});
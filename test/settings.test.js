@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PRESETS, presetSettings, validateSettings } = require('../server/settings');
+const { createHarness } = require('./harness');
+
+test('presetSettings resolves only the presets themselves', () => {
+  Object.keys(PRESETS).forEach(id => assert.deepEqual(presetSettings(id), validateSettings(PRESETS[id].settings).settings));
+  ['__proto__', 'constructor', 'toString', 'hasOwnProperty', 'nope'].forEach(id => assert.equal(presetSettings(id), null, id));
+});
+
+test('the host cannot pick an inherited name as a preset', () => {
+  const h = createHarness();
+  h.createRoom('host');
+  h.send('host', { type: 'update_settings', preset: '__proto__' });
+  assert.equal(h.last('host', 'error').code, 'unknown_preset');
+  assert.equal(h.room().preset, 'standard');
+});
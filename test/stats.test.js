@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { gameStats, toCsv } = require('../server/stats');
+
+// Два архівні записи, навмисно не за часом: у другій грі Ann пише ім'я з малої
+const records = [
+  {
+    id: 'g2', code: 'BBBB', finishedAt: 2000, winnerId: 'b2',
+    players: [{ id: 'a2', name: 'ann', score: 1 }, { id: 'b2', name: 'Bob "the" builder, jr', score: 4 }],
+    speeches: [
+      { role: 'attack', playerId: 'a2', playerName: 'ann', fallacyId: 3, fallacyName: 'Опудало', tag: 'distortion', difficulty: 2, outcome: 'defended' },
+      { role: 'defense', playerId: 'b2', playerName: 'Bob "the" builder, jr', fallacyId: 0, fallacyName: 'Зеро', tag: 'honest', difficulty: 1, outcome: 'defended' },
+    ],
+    log: [
+      { type: 'defense', choice: 'speak', fallacyId: 0 },
+      { type: 'vote', playerId: 'a2', vote: 'cancel' },
+      { type: 'cancel_result' },
+      { type: 'quiz', answerId: 3, guesses: { b2: 3, a2: 7 } },
+    ],
+  },
+  {
+    id: 'g1', code: 'AAAA', finishedAt: 1000, winnerId: 'a',
+    players: [{ id: 'a', name: 'Ann', score: 5 }, { id: 'b', name: '=HYPERLINK("x")', score: -2 }],
+    speeches: [
+      { role: 'attack', playerId: 'a', playerName: 'Ann', fallacyId: 3, fallacyName: 'Опудало', tag: 'distortion', difficulty: 2, outcome: 'cancelled' },
+      { role: 'defense', playerId: 'b', playerName: '=HYPERLINK("x")', fallacyId: 5, fallacyName: 'Ad hominem', tag: 'personal', difficulty: 1, outcome: 'cancelled' },
+    ],
+    log: [
+      { type: 'defense', choice: 'speak', fallacyId: 5 },
+      { type: 'vote', playerId: 'a', vote: 'cancel' },
+      { type: 'cancel_result' },
+    ],
+  },
+];
+
+test('gameStats counts plays, wins, cancels and quiz guesses per card', () => {
+  const stats = gameStats(records);
+  assert.equal(stats.games, 2);
+  const straw = stats.fallacies.find(f => f.id === 3);
+  assert.deepEqual(
+    [straw.played, straw.won, straw.winRate, straw.guesses, straw.guessed, straw.guessRate],
+    [2, 1, 0.5, 2, 1, 0.5],
+  );
+  const adHominem = stats.fallacies.find(f => f.id === 5);
+  assert.deepEqual([adHominem.cancelled, adHominem.cancelRate, adHominem.winRate], [1, 1, 0]);
+  assert.deepEqual(stats.difficulties.map(d => d.difficulty), [1, 2]);
+  assert.equal(stats.tags.find(t => t.tag === 'distortion').played, 2);
+});
+
+test('gameStats follows a player across games by name, oldest game first', () => {
+  const ann = gameStats(records).players.find(p => p.name === 'Ann');
+  assert.deepEqual(ann.progress.map(g => g.gameId), ['g1', 'g2']);
+  assert.deepEqual(
+    [ann.games, ann.wins, ann.played, ann.votes, ann.spotRate, ann.falseAlarms, ann.guesses, ann.guessRate],
+    [2, 1, 2, 2, 1, 1, 1, 0],
+  );
+});
+
+test('toCsv escapes formulas and quotes but keeps negative numbers', () => {
+  const stats = gameStats(records);
+  const lines = toCsv(stats, 'progress').split('\r\n');
+  assert.equal(lines.at(-1), '');
+  assert.ok(lines.some(l => l.startsWith(`"'=HYPERLINK(""x"")",g1,1970-01-01T00:00:01.000Z,-2,ні,`)));
+  assert.ok(lines.some(l => l.startsWith('"Bob ""the"" builder, jr",g2,')));
+  assert.equal(toCsv(stats, 'fallacies').split('\r\n')[0].split(',')[1], 'Софізм');
+});
+
+test('toCsv has no table for unknown or inherited names', () => {
+  const stats = gameStats(records);
+  ['nope', '__proto__', 'constructor', 'toString'].forEach(table => assert.equal(toCsv(stats, table), null));
+});
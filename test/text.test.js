@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeText, maskProfanity } = require('../server/text');
+
+test('angle brackets survive as text', () => {
+  assert.equal(sanitizeText('a < b, so b > a'), 'a < b, so b > a');
+  assert.equal(sanitizeText('<b>жирний</b>'), '<b>жирний</b>');
+});
+
+test('control and invisible characters are stripped, whitespace collapsed', () => {
+  assert.equal(sanitizeText('  при\u200bві\u0007т\t\tсвіт \r\n\r\n\r\n\r\nкінець  '), 'привіт світ\n\nкінець');
+  assert.equal(sanitizeText('\u202eabc'), 'abc');
+  assert.equal(sanitizeText(null), '');
+});
+
+test('profanity keeps the first letter', () => {
+  assert.equal(maskProfanity('це бля не аргумент, fucking fact'), 'це б** не аргумент, f****** fact');
+  assert.equal(maskProfanity("м'який сучасник"), "м'який сучасник");
+});
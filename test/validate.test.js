@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_MESSAGE_BYTES, RATE_LIMIT, SCHEMAS, validateMessage, createRateLimiter } = require('../server/validate');
+
+test('every message type has a schema of field checks', () => {
+  Object.entries(SCHEMAS).forEach(([type, schema]) => {
+    Object.values(schema).forEach(check => assert.equal(typeof check, 'function', type));
+  });
+  assert.equal(validateMessage({ type: 'start_game' }), null);
+  assert.equal(validateMessage({ type: 'join_room', code: 'ABCD', name: 'Ann', password: null }), null);
+});
+
+test('a malformed message or an unknown type is rejected', () => {
+  [null, 'join_room', [], {}, { type: 7 }].forEach(msg => assert.deepEqual(validateMessage(msg), { code: 'bad_message' }));
+  assert.deepEqual(validateMessage({ type: 'drop_tables' }), { code: 'unknown_type', messageType: 'drop_tables' });
+  ['__proto__', 'constructor', 'toString'].forEach(type => assert.equal(validateMessage({ type }).code, 'unknown_type'));
+  assert.equal(validateMessage({ type: 'x'.repeat(500) }).messageType.length, 40);
+});
+
+test('extra fields and fields of the wrong type are rejected', () => {
+  assert.deepEqual(validateMessage({ type: 'start_game', force: true }), { code: 'invalid_field', field: 'force', reason: 'extra' });
+  assert.deepEqual(validateMessage({ type: 'start_game', constructor: 1 }), { code: 'invalid_field', field: 'constructor', reason: 'extra' });
+  assert.deepEqual(validateMessage({ type: 'join_room', code: 42 }), { code: 'invalid_field', field: 'code' });
+  assert.deepEqual(validateMessage({ type: 'join_room' }), { code: 'invalid_field', field: 'code' });
+  assert.deepEqual(validateMessage({ type: 'cancel_vote', vote: 'maybe' }), { code: 'invalid_field', field: 'vote' });
+  assert.deepEqual(validateMessage({ type: 'set_team', playerId: 'p1', team: 1.5 }), { code: 'invalid_field', field: 'team' });
+  assert.deepEqual(validateMessage({ type: 'submit_rating', ranked: ['a', 5] }), { code: 'invalid_field', field: 'ranked' });
+  assert.equal(validateMessage({ type: 'quiz_guess', fallacyId: '12' }), null);
+  assert.deepEqual(validateMessage({ type: 'quiz_guess', fallacyId: '1e3' }), { code: 'invalid_field', field: 'fallacyId' });
+});
+
+test('oversized fields are rejected, a full-length argument still fits one frame', () => {
+  assert.deepEqual(validateMessage({ type: 'join_room', code: 'ABCD', name: 'N'.repeat(41) }), { code: 'invalid_field', field: 'name' });
+  assert.deepEqual(validateMessage({ type: 'capture', cellIds: Array.from({ length: 257 }, (_, i) => i) }), { code: 'invalid_field', field: 'cellIds' });
+  const text = 'ї'.repeat(1500);
+  assert.equal(validateMessage({ type: 'speech_done', text }), null);
+  assert.deepEqual(validateMessage({ type: 'speech_done', text: text + 'ї' }), { code: 'invalid_field', field: 'text' });
+  assert.ok(Buffer.byteLength(JSON.stringify({ type: 'speech_done', fallacyId: 999999, text })) <= MAX_MESSAGE_BYTES);
+});
+
+test('the rate limiter lets a burst through, then refills per second', () => {
+  let now = 0;
+  const allow = createRateLimiter(RATE_LIMIT, () => now);
+  const burst = Array.from({ length: RATE_LIMIT.burst }, allow);
+  assert.ok(burst.every(Boolean));
+  assert.equal(allow(), false);
+  now += 1000 / RATE_LIMIT.perSecond;
+  assert.deepEqual([allow(), allow()], [true, false]);
+  now += 60 * 1000;
+  assert.equal(Array.from({ length: RATE_LIMIT.burst + 1 }, allow).filter(Boolean).length, RATE_LIMIT.burst);
+});